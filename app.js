@@ -1,45 +1,1870 @@
 // World Time Zone Map Application
 
 class TimeZoneMap {
-    constructor() {
+    constructor(clock = Clock) {
+        this.clock = clock; // Every time-dependent calculation reads "now" from here
         this.svg = d3.select('#world-map');
         this.width = 1200;
         this.height = 700; // Increased for label space
         this.mapCenterY = 350; // Center the map vertically
-        this.pinnedTimezones = new Set();
+        this.pinnedTimezones = new Set(); // Keys: IANA zone names (or offset strings for fallback groups)
+        this.savedPins = null; // The user's own pins, kept aside while a shared link's pins are shown
+        this.markers = []; // Named places: { id, name, latitude, longitude }
+        this.team = []; // Imported roster, see TeamRoster
+        this.teamFilter = false; // Dim zones without team members
+        this.expandedTz = null;
         this.highlightedTz = null;
+        this.focusKey = null; // Key of the zone reachable with Tab (roving tabindex)
+        this.touchMode = false;
+        this.sheetKey = null; // Zone shown in the touch-mode detail sheet
+        this.workHours = null; // Meeting planner hours, e.g. { start: '09:00', end: '17:00' }
+        this.showTwilight = true;
+        this.groupBy = 'offset'; // 'offset' merges zones sharing a UTC offset, 'zone' keeps each IANA zone
+
+        this.projectionKey = 'naturalEarth';
+        this.centralMeridian = 0; // Longitude at the center of the map
+        this.globeTilt = 20; // Latitude facing the viewer on the globe
+        this.createProjection();
+        this.zoomTransform = d3.zoomIdentity;
+
+        // Country geometry swapped in as the map is zoomed; the first level is loaded up
+        // front. Timezones need no levels: timezones.geojson is already the 10m data.
+        this.detailLevels = {
+            countries: [
+                { minZoom: 1, url: 'https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json' },
+                { minZoom: 2.5, url: 'https://cdn.jsdelivr.net/npm/world-atlas@2/countries-50m.json' },
+                { minZoom: 6, url: 'https://cdn.jsdelivr.net/npm/world-atlas@2/countries-10m.json' }
+            ]
+        };
+        this.activeDetail = { countries: null };
+        this.detailCache = new Map();
+
+        this.init();
+    }
+
+    async init() {
+        // A shared link's time override must be in place before zones are grouped
+        const urlState = this.readUrlState();
+        if (urlState.time) {
+            this.clock.setTime(urlState.time);
+        }
+
+        // Resolve the theme before anything is drawn to avoid a flash of the wrong one
+        const savedState = SavedState.load();
+        this.themePreference = (savedState && savedState.theme) || 'system';
+        this.applyTheme();
+        I18n.setLocale(savedState && savedState.locale);
+        this.applyLocale();
+        TimeFormat.set(savedState && savedState.format);
+
+        this.setupSVG();
+        await this.loadData();
+
+        // Saved preferences first, then anything a shared link specifies on top
+        if (savedState) {
+            this.applySavedState(savedState);
+        }
+        this.applyUrlState(urlState);
+        this.render();
+        this.startTimeClock();
+        this.setupResizeHandler();
+        this.setupUrlStateHandler();
+        this.setupTimeTravel();
+        this.setupMeetingPlanner();
+        this.setupTeamPanel();
+        this.setupConverter();
+        this.setupEventsPanel();
+        this.setupSearch();
+        this.setupSchemePicker();
+        this.setupFormatMenu();
+        this.setupExportMenu();
+        this.setupMarkerForm();
+        this.setupThemeToggle();
+        this.setupLocaleSelect();
+        this.setupTwilightToggle();
+        this.setupProjectionControls();
+        this.setupGroupByToggle();
+        this.setupTouchMode();
+    }
+
+    // Parse the URL hash, e.g. #pins=America/New_York,Asia/Kolkata&open=Europe/London&scheme=rainbow&time=2025-03-10T15:00Z
+    readUrlState() {
+        const params = {};
+        window.location.hash.replace(/^#/, '').split('&').forEach(pair => {
+            const index = pair.indexOf('=');
+            if (index > 0) {
+                // decodeURIComponent keeps a literal '+' (as in UTC+5), unlike URLSearchParams.
+                // Malformed escapes from truncated links are dropped rather than thrown.
+                try {
+                    params[pair.slice(0, index)] = decodeURIComponent(pair.slice(index + 1));
+                } catch (e) {
+                    console.warn(`Ignoring malformed link parameter ${pair.slice(0, index)}`);
+                }
+            }
+        });
+
+        const time = params.time ? new Date(params.time) : null;
+        return {
+            pins: params.pins ? params.pins.split(',').filter(key => key !== '') : [],
+            open: params.open || null,
+            scheme: params.scheme || null,
+            time: time && !isNaN(time.getTime()) ? time : null
+        };
+    }
+
+    // Apply pins, expanded card and color scheme from a parsed URL state, leaving
+    // anything the link does not mention alone. Keys that do not resolve to a
+    // loaded zone are dropped.
+    applyUrlState(state) {
+        const resolve = key => this.resolveZoneKey(key);
+
+        if (state.pins.length > 0) {
+            this.keepSavedPins();
+            this.pinnedTimezones = new Set(state.pins.map(resolve).filter(key => key !== null));
+        }
+        if (state.open) {
+            this.expandedTz = resolve(state.open);
+        }
+        if (state.scheme && ColorSchemes[state.scheme]) {
+            this.colorSchemeKey = state.scheme;
+            this.updateColorScale();
+        }
+    }
+
+    // Remember the user's pins before a link replaces them, so persistState does not
+    // overwrite them with the link's until the user pins or unpins something
+    keepSavedPins() {
+        if (this.savedPins === null) {
+            this.savedPins = Array.from(this.pinnedTimezones);
+        }
+    }
+
+    // Normalize a pin key: IANA names and offset strings pass through if they match
+    // a loaded group, bare numeric offsets ("5.5") map to their group's id
+    resolveZoneKey(key) {
+        if (key !== '' && !isNaN(Number(key))) {
+            const tz = this.timezones.find(t => t.offset === Number(key));
+            return tz ? tz.id : null;
+        }
+        return this.timezones.some(tz => this.matchesKey(tz, key)) ? key : null;
+    }
+
+    // Mirror the current view into the URL hash without adding history entries
+    writeUrlState() {
+        // Keep '/', ',' and ':' readable; everything else (notably '+') is escaped
+        const encode = value => encodeURIComponent(value).replace(/%2F/g, '/').replace(/%2C/g, ',').replace(/%3A/g, ':');
+        const params = [];
+
+        if (this.pinnedTimezones.size > 0) {
+            params.push('pins=' + Array.from(this.pinnedTimezones).map(encode).join(','));
+        }
+        if (this.expandedTz !== null && !this.pinnedTimezones.has(this.expandedTz)) {
+            params.push('open=' + encode(this.expandedTz));
+        }
+        if (this.colorSchemeKey !== 'timeBlocks4Hour') {
+            params.push('scheme=' + encode(this.colorSchemeKey));
+        }
+        if (!this.clock.isLive()) {
+            params.push('time=' + encode(this.clock.now().toISOString().slice(0, 16) + 'Z'));
+        }
+
+        const hash = params.length > 0 ? '#' + params.join('&') : '';
+        if (hash !== window.location.hash) {
+            history.replaceState(null, '', window.location.pathname + window.location.search + hash);
+        }
+    }
+
+    // Restore pins (in the order they were pinned), color scheme and planner hours
+    applySavedState(state) {
+        // Regroup first so pins resolve against the saved mode's groups
+        if ((state.groupBy === 'offset' || state.groupBy === 'zone') && state.groupBy !== this.groupBy) {
+            this.groupBy = state.groupBy;
+            this.timezones = this.groupTimezones(this.clock.now());
+            this.updateColorScale();
+        }
+        if (Array.isArray(state.pins)) {
+            this.pinnedTimezones = new Set(state.pins
+                .map(key => this.resolveZoneKey(String(key)))
+                .filter(key => key !== null));
+        }
+        if (state.colorScheme && ColorSchemes[state.colorScheme]) {
+            this.colorSchemeKey = state.colorScheme;
+            this.updateColorScale();
+        }
+        if (state.workHours) {
+            this.workHours = state.workHours;
+        }
+        if (typeof state.showTwilight === 'boolean') {
+            this.showTwilight = state.showTwilight;
+        }
+        if (state.projection && MapProjections[state.projection]) {
+            this.projectionKey = state.projection;
+        }
+        if (Number.isFinite(state.centralMeridian)) {
+            this.centralMeridian = this.normalizeLongitude(state.centralMeridian);
+        }
+        if (Array.isArray(state.team)) {
+            this.team = state.team.filter(person => person && typeof person.name === 'string'
+                && TimeUtils.isValidTimeZone(person.zone) && person.workHours);
+        }
+        if (typeof state.teamFilter === 'boolean') {
+            this.teamFilter = state.teamFilter;
+        }
+        if (Array.isArray(state.markers)) {
+            this.markers = state.markers.filter(marker => marker && typeof marker.name === 'string'
+                && Math.abs(marker.latitude) <= 90 && Math.abs(marker.longitude) <= 180);
+        }
+        this.createProjection();
+    }
+
+    // Record the current view in the URL and the user's preferences in localStorage
+    persistState() {
+        this.writeUrlState();
+        SavedState.save({
+            pins: this.savedPins || Array.from(this.pinnedTimezones),
+            colorScheme: this.colorSchemeKey,
+            theme: this.themePreference,
+            workHours: this.workHours,
+            showTwilight: this.showTwilight,
+            groupBy: this.groupBy,
+            projection: this.projectionKey,
+            centralMeridian: this.centralMeridian,
+            locale: I18n.preference,
+            format: { ...TimeFormat.preferences },
+            markers: this.markers,
+            team: this.team,
+            teamFilter: this.teamFilter
+        });
+    }
+
+    // Follow links pasted into the address bar of an already open page
+    setupUrlStateHandler() {
+        window.addEventListener('hashchange', () => {
+            const state = this.readUrlState();
+            if (state.time) {
+                this.clock.setTime(state.time);
+            } else {
+                this.clock.reset();
+            }
+            // The new link replaces the current selection entirely
+            this.keepSavedPins();
+            this.pinnedTimezones.clear();
+            this.expandedTz = null;
+            this.applyUrlState(state);
+            this.refreshForClock();
+        });
+    }
+
+    setupResizeHandler() {
+        let resizeTimeout;
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(() => {
+                this.renderPinnedCalloutLines();
+            }, 100);
+        });
+    }
+
+    setupTimeTravel() {
+        const slider = document.getElementById('time-travel-slider');
+        const input = document.getElementById('time-travel-input');
+        const liveButton = document.getElementById('time-travel-live');
+        if (!slider) return;
+
+        // Coalesce slider drags into one re-render per frame
+        let pendingFrame = null;
+        slider.addEventListener('input', () => {
+            this.clock.setOffset(Number(slider.value) * 60000);
+            if (pendingFrame) return;
+            pendingFrame = requestAnimationFrame(() => {
+                pendingFrame = null;
+                this.refreshForClock();
+            });
+        });
+
+        input.addEventListener('change', () => {
+            if (!input.value) return;
+            // datetime-local values are parsed as browser-local time
+            this.clock.setTime(new Date(input.value));
+            this.refreshForClock();
+        });
+
+        liveButton.addEventListener('click', () => {
+            this.clock.reset();
+            this.refreshForClock();
+        });
+
+        this.updateTimeTravelDisplay();
+    }
+
+    // Sync the scrubber controls with the clock
+    updateTimeTravelDisplay() {
+        const slider = document.getElementById('time-travel-slider');
+        if (!slider) return;
+
+        const isLive = this.clock.isLive();
+        const now = this.clock.now();
+        slider.value = Math.round(this.clock.offsetMs / 60000);
+
+        document.getElementById('time-travel').classList.toggle('active', !isLive);
+        document.getElementById('time-travel-live').disabled = isLive;
+        document.getElementById('time-travel-display').textContent = isLive
+            ? I18n.t('timeTravel.live')
+            : now.toLocaleString(I18n.locale, TimeFormat.withHourCycle({
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+            }));
+
+        // datetime-local wants browser-local "YYYY-MM-DDTHH:MM"
+        const local = new Date(now.getTime() - now.getTimezoneOffset() * 60000);
+        document.getElementById('time-travel-input').value = local.toISOString().slice(0, 16);
+    }
+
+    setupMeetingPlanner() {
+        const toggle = document.getElementById('planner-toggle');
+        if (!toggle) return;
+
+        this.planner = {
+            open: false,
+            slotMinutes: 15, // Fine enough for :15/:45 offsets like Nepal's
+            slot: null       // Index of the clicked slot, if any
+        };
+
+        toggle.addEventListener('click', () => this.toggleMeetingPlanner());
+        document.getElementById('planner-close')
+            .addEventListener('click', () => this.toggleMeetingPlanner(false));
+
+        const startInput = document.getElementById('planner-start');
+        const endInput = document.getElementById('planner-end');
+        if (this.workHours) {
+            startInput.value = this.workHours.start;
+            endInput.value = this.workHours.end;
+        }
+
+        ['planner-date', 'planner-start', 'planner-end'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.planner.slot = null;
+                if (startInput.value && endInput.value) {
+                    this.workHours = { start: startInput.value, end: endInput.value };
+                    this.persistState();
+                }
+                this.renderMeetingPlanner();
+            });
+        });
+    }
+
+    toggleMeetingPlanner(open = !this.planner.open) {
+        this.planner.open = open;
+        document.getElementById('meeting-planner').hidden = !open;
+        document.getElementById('planner-toggle').setAttribute('aria-expanded', open);
+
+        const dateInput = document.getElementById('planner-date');
+        if (open && !dateInput.value) {
+            dateInput.value = this.clock.now().toISOString().slice(0, 10);
+        }
+        this.renderMeetingPlanner();
+    }
+
+    // Show a 24-hour strip per pinned zone, aligned on the chosen UTC day, with
+    // working hours and their overlap highlighted
+    renderMeetingPlanner() {
+        if (!this.planner || !this.planner.open) return;
+
+        const strips = d3.select('#planner-strips');
+        const summary = d3.select('#planner-summary');
+        const details = d3.select('#planner-details');
+        strips.html('');
+        summary.text('');
+        details.html('');
+
+        const pinnedTzs = this.getPinnedTimezones();
+        if (pinnedTzs.length === 0) {
+            strips.append('p')
+                .attr('class', 'planner-empty')
+                .text(I18n.t('planner.empty'));
+            return;
+        }
+
+        const { slotMinutes } = this.planner;
+        const slotCount = (24 * 60) / slotMinutes;
+        // Cleared inputs fall back to today and 09:00-17:00 rather than NaN
+        const dateValue = document.getElementById('planner-date').value;
+        const startValue = document.getElementById('planner-start').value;
+        const endValue = document.getElementById('planner-end').value;
+        const [year, month, day] = (/^\d{4}-\d{2}-\d{2}$/.test(dateValue)
+            ? dateValue
+            : this.clock.now().toISOString().slice(0, 10)).split('-').map(Number);
+        const dayStart = Date.UTC(year, month - 1, day);
+        const workStart = TimeUtils.parseTimeOfDay(/^\d{1,2}:\d{2}$/.test(startValue) ? startValue : '09:00');
+        const workEnd = TimeUtils.parseTimeOfDay(/^\d{1,2}:\d{2}$/.test(endValue) ? endValue : '17:00');
+        const slotTime = i => new Date(dayStart + i * slotMinutes * 60000);
+        const nowSlot = Math.floor((this.clock.now().getTime() - dayStart) / (slotMinutes * 60000));
+
+        // Local minute-of-day for every slot, computed per instant so DST on the chosen date applies
+        const rows = pinnedTzs.map(tz => ({
+            tz,
+            minutes: d3.range(slotCount).map(i => {
+                const parts = TimeUtils.getTimezoneParts(tz, slotTime(i));
+                return parts.hour * 60 + parts.minute;
+            })
+        }));
+        const overlap = d3.range(slotCount).map(i =>
+            rows.every(row => TimeUtils.isWithinHours(row.minutes[i], workStart, workEnd)));
+
+        const appendRow = (label, cells) => {
+            const row = strips.append('div').attr('class', 'planner-row');
+            row.append('div').attr('class', 'planner-label').text(label);
+            const strip = row.append('div')
+                .attr('class', 'planner-strip')
+                .style('grid-template-columns', `repeat(${slotCount}, 1fr)`);
+            cells.forEach((cell, i) => {
+                const slot = strip.append('div')
+                    .attr('class', 'planner-slot')
+                    .classed('selected', i === this.planner.slot)
+                    .classed('now', i === nowSlot)
+                    .attr('title', cell.title)
+                    .on('click', () => {
+                        this.planner.slot = i;
+                        this.renderMeetingPlanner();
+                    });
+                cell.style(slot);
+                if (cell.label) {
+                    slot.append('span').attr('class', 'planner-hour').text(cell.label);
+                }
+            });
+        };
+
+        // UTC reference row
+        appendRow('UTC', d3.range(slotCount).map(i => {
+            const minute = i * slotMinutes;
+            return {
+                title: `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')} UTC`,
+                label: minute % 180 === 0 ? String(minute / 60) : null,
+                style: slot => slot.classed('utc', true)
+            };
+        }));
+
+        rows.forEach(({ tz, minutes }) => {
+            const color = this.getColor(tz);
+            // The offset may differ from the group's current one if DST changes before the chosen date
+            const offsetString = TimeFormat.formatOffset(this.getOffsetStringAt(tz, slotTime(slotCount / 2)));
+            const place = tz.cities.length > 0
+                ? I18n.cityName(tz.cities[0])
+                : tz.names.find(name => isNaN(parseFloat(name))) || '';
+            appendRow(place ? `${offsetString} · ${place}` : offsetString, minutes.map(minute => {
+                const working = TimeUtils.isWithinHours(minute, workStart, workEnd);
+                return {
+                    title: `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')} ${offsetString}`,
+                    label: minute % 180 === 0 ? String(minute / 60) : null,
+                    style: slot => slot.classed('working', working).style('background-color', working ? color : null)
+                };
+            }));
+        });
+
+        appendRow(I18n.t('planner.overlapRow'), overlap.map(isOverlap => ({
+            title: isOverlap ? I18n.t('planner.everyoneWorking') : '',
+            label: null,
+            style: slot => slot.classed('overlap', isOverlap)
+        })));
+
+        // Summarize overlapping ranges in UTC
+        const ranges = [];
+        overlap.forEach((isOverlap, i) => {
+            if (!isOverlap) return;
+            const last = ranges[ranges.length - 1];
+            if (last && last.end === i) {
+                last.end = i + 1;
+            } else {
+                ranges.push({ start: i, end: i + 1 });
+            }
+        });
+        const formatUTC = i => slotTime(i).toISOString().slice(11, 16);
+        summary.text(ranges.length === 0
+            ? I18n.t('planner.noOverlap')
+            : I18n.t('planner.overlap', {
+                ranges: ranges.map(r => `${formatUTC(r.start)}–${formatUTC(r.end)} UTC`).join(', ')
+            }));
+
+        // What the clicked instant is in each pinned zone
+        if (this.planner.slot !== null) {
+            const instant = slotTime(this.planner.slot);
+            details.append('h3').text(`${instant.toISOString().slice(0, 10)} ${formatUTC(this.planner.slot)} UTC`);
+            const list = details.append('ul');
+            rows.forEach(({ tz, minutes }) => {
+                const working = TimeUtils.isWithinHours(minutes[this.planner.slot], workStart, workEnd);
+                const localTime = this.formatTimeInZone(tz, {
+                    weekday: 'short',
+                    hour: 'numeric',
+                    minute: '2-digit'
+                }, instant);
+                const offsetString = TimeFormat.formatOffset(this.getOffsetStringAt(tz, instant));
+                const place = tz.cities.length > 0 ? I18n.cityName(tz.cities[0]) : offsetString;
+                list.append('li')
+                    .classed('working', working)
+                    .text(`${place} (${offsetString}): ${localTime}${working ? '' : ' — ' + I18n.t('planner.outsideHours')}`);
+            });
+        }
+    }
+
+    setupTeamPanel() {
+        const toggle = document.getElementById('team-toggle');
+        if (!toggle) return;
+
+        this.teamPanelOpen = false;
+        toggle.addEventListener('click', () => this.toggleTeamPanel());
+        document.getElementById('team-close').addEventListener('click', () => this.toggleTeamPanel(false));
+
+        const fileInput = document.getElementById('team-file');
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importTeam(fileInput.files[0]);
+                fileInput.value = '';
+            }
+        });
+
+        const filter = document.getElementById('team-filter');
+        filter.checked = this.teamFilter;
+        filter.addEventListener('change', () => {
+            this.teamFilter = filter.checked;
+            this.updateHighlights();
+            this.persistState();
+        });
+
+        document.getElementById('team-clear').addEventListener('click', () => {
+            this.setTeam([]);
+            document.getElementById('team-message').textContent = '';
+        });
+    }
+
+    toggleTeamPanel(open = !this.teamPanelOpen) {
+        this.teamPanelOpen = open;
+        document.getElementById('team-panel').hidden = !open;
+        document.getElementById('team-toggle').setAttribute('aria-expanded', open);
+        this.renderTeamPanel();
+    }
+
+    async importTeam(file) {
+        const message = document.getElementById('team-message');
+        let result;
+        try {
+            result = TeamRoster.parse(await file.text());
+        } catch (e) {
+            message.textContent = I18n.t('team.unreadable', { file: file.name, message: e.message });
+            return;
+        }
+
+        this.setTeam(result.people);
+        message.textContent = [I18n.t('team.imported', { count: result.people.length })]
+            .concat(result.skipped.map(({ row, error, value }) =>
+                I18n.t('team.skipped', { row, reason: I18n.t('team.error.' + error, { value }) })))
+            .join(' ');
+    }
+
+    setTeam(people) {
+        this.team = people;
+        this.zoneLookups = null; // Person ids are reused between rosters
+        this.renderTeamMarkers();
+        this.renderTeamPanel();
+        this.renderPinnedCallouts();
+        this.updateHighlights();
+        this.persistState();
+    }
+
+    // Group a person belongs to: the one listing their zone, else the polygon under
+    // their city, else any group currently on the same offset
+    getPersonTimezone(person) {
+        return this.lookupTimezone('person:' + person.id, () => {
+            const byZone = this.timezones.find(tz => tz.zones.includes(person.zone));
+            if (byZone) return byZone;
+            if (person.latitude !== null) return this.findTimezoneAt([person.longitude, person.latitude]);
+            const offset = TimeUtils.getOffsetAtInstant(person.zone, this.clock.now());
+            return this.timezones.find(tz => tz.offset === offset) || null;
+        });
+    }
+
+    // Keys of groups with at least one team member
+    getTeamZoneKeys() {
+        return new Set(this.team.map(person => this.getPersonTimezone(person)).filter(Boolean).map(tz => tz.key));
+    }
+
+    getTeamMembers(tz) {
+        return this.team.filter(person => this.getPersonTimezone(person) === tz);
+    }
+
+    // The roster grouped by zone, west to east, with each person's local time and status
+    renderTeamPanel() {
+        if (!this.teamPanelOpen) return;
+
+        const list = d3.select('#team-list');
+        list.html('');
+        if (this.team.length === 0) {
+            list.append('p').attr('class', 'team-empty').text(I18n.t('team.empty'));
+            return;
+        }
+
+        const now = this.clock.now();
+        const groups = this.timezones.filter(tz => this.getTeamMembers(tz).length > 0);
+        const unplaced = this.team.filter(person => !this.getPersonTimezone(person));
+
+        groups.forEach(tz => {
+            const section = list.append('section')
+                .attr('class', 'team-zone')
+                .attr('data-key', tz.key)
+                .on('mouseover', () => this.handleTimezoneHover(tz))
+                .on('mouseout', () => this.handleTimezoneLeave());
+            const place = tz.cities.length > 0 ? I18n.cityName(tz.cities[0]) : this.getZoneTitle(tz);
+            section.append('h3')
+                .style('border-color', this.getColor(tz))
+                .text([TimeFormat.formatOffset(tz.offsetString), place].filter(Boolean).join(' · '));
+            this.appendTeamMembers(section.append('ul'), this.getTeamMembers(tz), now);
+        });
+
+        if (unplaced.length > 0) {
+            const section = list.append('section').attr('class', 'team-zone');
+            this.appendTeamMembers(section.append('ul'), unplaced, now);
+        }
+    }
+
+    appendTeamMembers(list, people, now) {
+        people.forEach(person => {
+            const status = TeamRoster.getStatus(person, now);
+            const item = list.append('li').attr('class', 'team-member ' + status);
+            this.appendAvatar(item, person);
+            item.append('span').attr('class', 'team-name').text(person.name);
+            item.append('span')
+                .attr('class', 'team-local')
+                .text(this.formatTimeInZone({ zone: person.zone }, TimeFormat.timeOptions(), now));
+            item.append('span').attr('class', 'team-status').text(I18n.t('team.' + status));
+            item.attr('title', person.city ? `${I18n.cityName(person.city)} (${person.zone})` : person.zone);
+            const tz = this.getPersonTimezone(person);
+            if (tz) {
+                item.on('click', () => {
+                    this.zoomToTimezone(tz);
+                    this.flashTimezone(tz);
+                });
+            }
+        });
+    }
+
+    appendAvatar(container, person) {
+        if (person.avatar) {
+            container.append('img')
+                .attr('class', 'team-avatar')
+                .attr('src', person.avatar)
+                .attr('alt', '');
+        } else {
+            container.append('span')
+                .attr('class', 'team-avatar')
+                .attr('aria-hidden', 'true')
+                .text(TeamRoster.getInitials(person.name));
+        }
+    }
+
+    // People on the map at their city, ringed by status. People in the same city
+    // sit side by side. Drawn in screen space like the place markers.
+    renderTeamMarkers() {
+        const group = this.svg.select('.team-group');
+        const now = this.clock.now();
+        const size = 18;
+
+        const byPosition = new Map();
+        this.team.filter(person => person.latitude !== null).forEach(person => {
+            const position = this.projectPoint([person.longitude, person.latitude]);
+            if (!position || position[0] < 0 || position[0] > this.width || position[1] < 0 || position[1] > this.height) return;
+            const key = position.map(Math.round).join(',');
+            if (!byPosition.has(key)) byPosition.set(key, { position, people: [] });
+            byPosition.get(key).people.push(person);
+        });
+        const placed = Array.from(byPosition.values()).flatMap(({ position, people }) =>
+            people.map((person, i) => ({
+                person,
+                x: position[0] + (i - (people.length - 1) / 2) * (size + 2),
+                y: position[1] + size
+            })));
+
+        // Ids are reassigned on every import, so join on who and where the person is
+        // and refresh the avatar or initials of reused markers
+        const markers = group.selectAll('g.team-person')
+            .data(placed, d => `${d.person.name}|${d.person.zone}`)
+            .join(enter => {
+                const g = enter.append('g');
+                g.append('circle').attr('r', size / 2).attr('stroke-width', 2);
+                g.append('title');
+                return g;
+            })
+            .attr('class', d => 'team-person ' + TeamRoster.getStatus(d.person, now))
+            .attr('transform', d => `translate(${d.x},${d.y})`);
+
+        markers.selectAll('image')
+            .data(d => d.person.avatar ? [d.person] : [])
+            .join(enter => enter.insert('image', 'title')
+                .attr('x', -size / 2)
+                .attr('y', -size / 2)
+                .attr('width', size)
+                .attr('height', size)
+                .attr('clip-path', 'url(#team-avatar-clip)'))
+            .attr('href', person => person.avatar);
+        markers.selectAll('text')
+            .data(d => d.person.avatar ? [] : [d.person])
+            .join(enter => enter.insert('text', 'title')
+                .attr('text-anchor', 'middle')
+                .attr('dy', '0.35em')
+                .attr('font-size', '8px'))
+            .text(person => TeamRoster.getInitials(person.name));
+        markers.select('title')
+            .text(d => `${d.person.name}: ${I18n.t('team.' + TeamRoster.getStatus(d.person, now))}`);
+    }
+
+    // "● Ana · ☾ Ben" for a pinned callout
+    getTeamSummary(tz) {
+        const symbols = { working: '●', off: '○', asleep: '☾' };
+        const now = this.clock.now();
+        return this.getTeamMembers(tz)
+            .map(person => `${symbols[TeamRoster.getStatus(person, now)]} ${person.name}`)
+            .join(' · ');
+    }
+
+    setupConverter() {
+        const toggle = document.getElementById('converter-toggle');
+        if (!toggle) return;
+
+        this.converter = {
+            open: false,
+            source: null // Pin-style key of the source group, see matchesKey
+        };
+
+        toggle.addEventListener('click', () => this.toggleConverter());
+        document.getElementById('converter-close')
+            .addEventListener('click', () => this.toggleConverter(false));
+
+        document.getElementById('converter-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.applyConverterQuery(document.getElementById('converter-query').value);
+        });
+
+        ['converter-time', 'converter-date'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.convertTime());
+        });
+        document.getElementById('converter-source').addEventListener('change', (event) => {
+            this.converter.source = event.target.value;
+            this.convertTime();
+        });
+    }
+
+    toggleConverter(open = !this.converter.open) {
+        this.converter.open = open;
+        document.getElementById('converter').hidden = !open;
+        document.getElementById('converter-toggle').setAttribute('aria-expanded', open);
+
+        if (open && !this.getConverterSource()) {
+            // Start from the browser's own zone
+            const local = this.getLocalTimezone();
+            this.converter.source = local ? local.id : null;
+        }
+        this.renderConverter();
+        this.renderTimezoneGrid();
+    }
+
+    // Group holding the browser's zone, or one on the same offset
+    getLocalTimezone() {
+        const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        return this.timezones.find(tz => tz.zones.includes(localZone))
+            || this.timezones.find(tz => tz.offset === -this.clock.now().getTimezoneOffset() / 60)
+            || null;
+    }
+
+    // Source group while the converter is open
+    getConverterSource() {
+        if (!this.converter || !this.converter.open || this.converter.source === null) return null;
+        return this.timezones.find(tz => this.matchesKey(tz, this.converter.source)) || null;
+    }
+
+    setConverterSource(tz) {
+        this.converter.source = tz.id;
+        if (document.getElementById('converter-time').value) {
+            this.convertTime();
+        } else {
+            this.renderConverter();
+            this.renderTimezoneGrid();
+        }
+    }
+
+    // "3pm Tokyo", "15:30 in New York tomorrow", "noon IST" or a bare "9:15" for the current source
+    applyConverterQuery(text) {
+        const error = document.getElementById('converter-error');
+        const query = TimeUtils.parseTimeQuery(text);
+        if (!query) {
+            error.textContent = I18n.t('converter.invalid');
+            return;
+        }
+        if (query.place !== '') {
+            // Words the search does not know ("New York please") are dropped from the end
+            const words = query.place.split(' ');
+            let match;
+            for (let count = words.length; count > 0 && !match; count--) {
+                [match] = this.searchTimezones(words.slice(0, count).join(' '), 1);
+            }
+            if (!match) {
+                error.textContent = I18n.t('converter.notFound', { place: query.place });
+                return;
+            }
+            this.converter.source = match.tz.id;
+        }
+        error.textContent = '';
+
+        const pad = value => String(value).padStart(2, '0');
+        const source = this.getConverterSource();
+        if (query.days !== null && source) {
+            const today = TimeUtils.getTimezoneParts(source, this.clock.now());
+            const date = new Date(Date.UTC(today.year, today.month - 1, today.day + query.days));
+            document.getElementById('converter-date').value = date.toISOString().slice(0, 10);
+        }
+        document.getElementById('converter-time').value = `${pad(query.hour)}:${pad(query.minute)}`;
+        this.convertTime();
+    }
+
+    // Move the clock to the typed wall time in the source zone, on the chosen date.
+    // Everything else follows the clock, as with time travel.
+    convertTime() {
+        const source = this.getConverterSource();
+        const time = document.getElementById('converter-time').value;
+        if (!source || !time) return;
+
+        const dateInput = document.getElementById('converter-date');
+        if (!dateInput.value) {
+            const today = TimeUtils.getTimezoneParts(source, this.clock.now());
+            const pad = value => String(value).padStart(2, '0');
+            dateInput.value = `${today.year}-${pad(today.month)}-${pad(today.day)}`;
+        }
+
+        const [year, month, day] = dateInput.value.split('-').map(Number);
+        const [hour, minute] = time.split(':').map(Number);
+        this.clock.setTime(TimeUtils.getTimezoneInstant(source, { year, month, day, hour, minute }));
+        this.refreshForClock();
+    }
+
+    // Source picker, its zone options and a summary of the converted moment
+    renderConverter() {
+        if (!this.converter || !this.converter.open) return;
+
+        const source = this.getConverterSource();
+        d3.select('#converter-source')
+            .selectAll('option')
+            .data([...this.timezones].sort((a, b) => a.offset - b.offset), tz => tz.id)
+            .join('option')
+            .attr('value', tz => tz.id)
+            .text(tz => `${TimeFormat.formatOffset(tz.offsetString)} ${this.getTimezonePlace(tz)}`);
+        if (source) {
+            document.getElementById('converter-source').value = source.id;
+        }
+
+        const result = document.getElementById('converter-result');
+        if (!source || !document.getElementById('converter-time').value || this.clock.isLive()) {
+            result.textContent = I18n.t('converter.hint');
+            return;
+        }
+        result.textContent = I18n.t('converter.result', {
+            time: this.getCurrentTimeShort(source),
+            date: this.formatDateInZone(source, { weekday: 'long', month: 'long', day: 'numeric' }),
+            place: this.getTimezonePlace(source)
+        });
+    }
+
+    // Best short place name for a group: its first city, zone name or offset
+    getTimezonePlace(tz) {
+        if (tz.cities.length > 0) return I18n.cityName(tz.cities[0]);
+        if (tz.zone) return I18n.cityName(tz.name);
+        return tz.offsetString;
+    }
+
+    // Calendar events from an .ics file chosen in the panel or dropped anywhere on the page
+    setupEventsPanel() {
+        const toggle = document.getElementById('events-toggle');
+        if (!toggle) return;
+
+        this.eventList = {
+            open: false,
+            calendar: null,     // Parsed file, see ICalendar.parse
+            upcoming: [],       // Listed occurrences, expanded on import rather than per render
+            occurrences: 5,     // Upcoming occurrences listed per recurring event
+            preview: null       // Start time of the event shown on the map
+        };
+
+        toggle.addEventListener('click', () => this.toggleEventsPanel());
+        document.getElementById('events-close').addEventListener('click', () => this.toggleEventsPanel(false));
+        document.getElementById('events-clear').addEventListener('click', () => {
+            this.eventList.calendar = null;
+            this.eventList.upcoming = [];
+            document.getElementById('events-message').textContent = '';
+            this.renderEventsPanel();
+        });
+
+        const fileInput = document.getElementById('events-file');
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importCalendar(fileInput.files[0]);
+                fileInput.value = '';
+            }
+        });
+
+        // File inputs (such as the team import) keep their own drop behavior
+        const hasFiles = event => event.dataTransfer && event.target.type !== 'file'
+            && Array.from(event.dataTransfer.types).includes('Files');
+        document.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            document.body.classList.add('dropping-file');
+        });
+        document.addEventListener('dragleave', (event) => {
+            // Only when the pointer leaves the window
+            if (event.relatedTarget === null) {
+                document.body.classList.remove('dropping-file');
+            }
+        });
+        // Any drop or cancelled drag hides the overlay, including drops on file inputs
+        document.addEventListener('dragend', () => document.body.classList.remove('dropping-file'));
+        document.addEventListener('drop', (event) => {
+            document.body.classList.remove('dropping-file');
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            this.importCalendar(event.dataTransfer.files[0]);
+        });
+    }
+
+    toggleEventsPanel(open = !this.eventList.open) {
+        this.eventList.open = open;
+        document.getElementById('events-panel').hidden = !open;
+        document.getElementById('events-toggle').setAttribute('aria-expanded', open);
+        this.renderEventsPanel();
+    }
+
+    async importCalendar(file) {
+        if (!this.eventList.open) {
+            this.toggleEventsPanel(true);
+        }
+
+        const message = document.getElementById('events-message');
+        if (!/\.ics$/i.test(file.name) && file.type !== 'text/calendar') {
+            message.textContent = I18n.t('events.notCalendar', { file: file.name });
+            return;
+        }
+
+        try {
+            this.eventList.calendar = ICalendar.parse(await file.text());
+            this.updateUpcomingEvents();
+        } catch (e) {
+            message.textContent = I18n.t('events.unreadable', { file: file.name, message: e.message });
+            return;
+        }
+        message.textContent = I18n.t('events.imported', {
+            file: file.name,
+            count: this.eventList.calendar.events.filter(event => !event.recurrenceId).length
+        });
+        this.renderEventsPanel();
+    }
+
+    // Upcoming from the real time, so previewing an event leaves the list in place
+    updateUpcomingEvents() {
+        const { calendar } = this.eventList;
+        this.eventList.upcoming = calendar
+            ? ICalendar.getOccurrences(calendar, new Date(), this.eventList.occurrences).slice(0, 50)
+            : [];
+    }
+
+    // Upcoming events; their times in the pinned zones are filled in by renderEventTimes
+    renderEventsPanel() {
+        if (!this.eventList || !this.eventList.open) return;
+
+        const list = d3.select('#events-list');
+        list.html('');
+        const { calendar, upcoming } = this.eventList;
+        if (!calendar) {
+            list.append('li').attr('class', 'events-empty').text(I18n.t('events.empty'));
+            return;
+        }
+        if (upcoming.length === 0) {
+            list.append('li').attr('class', 'events-empty').text(I18n.t('events.none'));
+            return;
+        }
+
+        const dateOptions = { weekday: 'short', month: 'short', day: 'numeric' };
+        const timeOptions = TimeFormat.withHourCycle({ hour: 'numeric', minute: '2-digit' });
+
+        upcoming.forEach(occurrence => {
+            const item = list.append('li')
+                .datum(occurrence)
+                .attr('class', 'event');
+
+            const header = item.append('div').attr('class', 'event-header');
+            header.append('span').attr('class', 'event-title').text(occurrence.summary || I18n.t('events.untitled'));
+            header.append('span').attr('class', 'event-when').text(occurrence.allDay
+                ? `${occurrence.start.toLocaleDateString(I18n.locale, dateOptions)} · ${I18n.t('events.allDay')}`
+                : `${occurrence.start.toLocaleDateString(I18n.locale, dateOptions)} ${occurrence.start.toLocaleTimeString(I18n.locale, timeOptions)}–${occurrence.end.toLocaleTimeString(I18n.locale, timeOptions)}`);
+            if (occurrence.location) {
+                item.append('div').attr('class', 'event-location').text(occurrence.location);
+            }
+            if (!occurrence.allDay) {
+                item.append('ul').attr('class', 'event-times');
+            }
+
+            item.append('button')
+                .attr('type', 'button')
+                .attr('class', 'event-preview')
+                .text(I18n.t('events.preview'))
+                .on('click', () => this.previewEvent(occurrence));
+        });
+        this.renderEventTimes();
+    }
+
+    // Each listed event's time in every pinned zone (or the browser's own). Runs on
+    // every clock change, so the list itself is only rebuilt once an event has ended.
+    renderEventTimes() {
+        if (!this.eventList || !this.eventList.open) return;
+
+        const now = new Date();
+        if (this.eventList.upcoming.some(occurrence => occurrence.end <= now)) {
+            this.updateUpcomingEvents();
+            this.renderEventsPanel();
+            return;
+        }
+
+        const pinned = this.getPinnedTimezones();
+        const zones = pinned.length > 0 ? pinned : [this.getLocalTimezone()].filter(Boolean);
+        const items = d3.selectAll('#events-list li.event')
+            .classed('previewing', occurrence => !this.clock.isLive() && this.eventList.preview === occurrence.start.getTime());
+        items.select('.event-times')
+            .selectAll('li')
+            .data(occurrence => zones.map(tz => ({ tz, start: occurrence.start })))
+            .join('li')
+            .style('border-color', d => this.getColor(d.tz))
+            .text(d => `${this.getTimezonePlace(d.tz)} ${this.formatTimeInZone(d.tz, { weekday: 'short', hour: 'numeric', minute: '2-digit' }, d.start)}`);
+    }
+
+    // Show the map's day/night and time-of-day colors at an event's start
+    // (midday for all-day events), like time travel
+    previewEvent(occurrence) {
+        const instant = occurrence.allDay
+            ? new Date(occurrence.start.getTime() + 12 * 3600000)
+            : occurrence.start;
+        this.eventList.preview = occurrence.start.getTime();
+        this.clock.setTime(instant);
+        this.refreshForClock();
+    }
+
+    setupSearch() {
+        const input = document.getElementById('search-input');
+        if (!input) return;
+
+        this.search = { results: [], active: -1 };
+
+        input.addEventListener('input', () => {
+            this.search.results = this.searchTimezones(input.value);
+            this.search.active = this.search.results.length > 0 ? 0 : -1;
+            this.renderSearchResults();
+        });
+
+        input.addEventListener('keydown', (event) => {
+            const { results } = this.search;
+            if (event.key === 'ArrowDown' && results.length > 0) {
+                event.preventDefault();
+                this.search.active = (this.search.active + 1) % results.length;
+                this.renderSearchResults();
+            } else if (event.key === 'ArrowUp' && results.length > 0) {
+                event.preventDefault();
+                this.search.active = (this.search.active - 1 + results.length) % results.length;
+                this.renderSearchResults();
+            } else if (event.key === 'Enter' && this.search.active >= 0) {
+                event.preventDefault();
+                // Shift+Enter also pins the result
+                this.selectSearchResult(results[this.search.active], event.shiftKey);
+            } else if (event.key === 'Escape') {
+                this.clearSearch();
+            }
+        });
+
+        // Close suggestions when focus leaves the search box
+        input.addEventListener('blur', () => {
+            setTimeout(() => {
+                this.search.results = [];
+                this.renderSearchResults();
+            }, 150);
+        });
+    }
+
+    // Searchable terms per timezone group, rebuilt whenever the groups or the language change.
+    // Cities match by their English and their localized name.
+    getSearchIndex() {
+        if (this.searchIndex && this.searchIndex.timezones === this.timezones && this.searchIndex.locale === I18n.locale) {
+            return this.searchIndex.entries;
+        }
+
+        const now = this.clock.now();
+        const entries = this.timezones.map(tz => ({
+            tz,
+            cities: Array.from(new Set(tz.cities.map(city => I18n.cityName(city)).concat(tz.cities))),
+            zones: Array.from(new Set(tz.zones.concat(tz.names.filter(name => isNaN(parseFloat(name)))))),
+            abbreviations: new Set(tz.zones.flatMap(zone => TimeUtils.getAbbreviations(zone, now)))
+        }));
+
+        this.searchIndex = { timezones: this.timezones, locale: I18n.locale, entries };
+        return entries;
+    }
+
+    // Match cities, IANA names, offsets ("UTC+5:30") and abbreviations ("IST").
+    // Returns up to `limit` results ordered by match quality.
+    searchTimezones(query, limit = 8) {
+        const normalize = text => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/_/g, ' ').toLowerCase().trim();
+        const q = normalize(query);
+        if (q === '') return [];
+
+        const results = [];
+        const add = (tz, label, score) => {
+            if (!results.some(r => r.tz === tz && r.label === label)) {
+                results.push({ tz, label, score });
+            }
+        };
+
+        const offset = TimeUtils.parseOffsetString(query);
+        const abbreviation = query.trim().toUpperCase();
+        const abbreviationOffsets = TimeUtils.commonAbbreviations[abbreviation] || [];
+
+        this.getSearchIndex().forEach(entry => {
+            const { tz } = entry;
+
+            if (offset !== null && tz.offset === offset) {
+                add(tz, tz.offsetString, 0);
+            }
+            if (entry.abbreviations.has(abbreviation)) {
+                add(tz, abbreviation, 1);
+            } else if (abbreviationOffsets.includes(tz.offset)) {
+                add(tz, abbreviation, 2);
+            }
+
+            entry.cities.forEach(city => {
+                const name = normalize(city);
+                if (name === q) add(tz, city, 1);
+                else if (name.startsWith(q)) add(tz, city, 3);
+                else if (name.includes(q)) add(tz, city, 5);
+            });
+
+            entry.zones.forEach(zone => {
+                const name = normalize(zone);
+                const place = name.split('/').pop();
+                if (name === q || place === q) add(tz, zone, 2);
+                else if (place.startsWith(q)) add(tz, zone, 4);
+                else if (name.includes(q)) add(tz, zone, 6);
+            });
+        });
+
+        return results
+            .sort((a, b) => a.score - b.score || a.tz.offset - b.tz.offset)
+            .slice(0, limit);
+    }
 
-        this.projection = d3.geoNaturalEarth1()
-            .scale(210)
-            .translate([this.width / 2, this.mapCenterY]);
+    renderSearchResults() {
+        const input = document.getElementById('search-input');
+        const list = d3.select('#search-results');
+        const { results, active } = this.search;
+
+        list.html('');
+        list.attr('hidden', results.length === 0 ? true : null);
+        input.setAttribute('aria-expanded', results.length > 0);
+        input.setAttribute('aria-activedescendant', active >= 0 && results.length > 0 ? `search-result-${active}` : '');
+
+        results.forEach((result, i) => {
+            const item = list.append('li')
+                .attr('id', `search-result-${i}`)
+                .attr('class', 'search-result')
+                .attr('role', 'option')
+                .attr('aria-selected', i === active)
+                .classed('active', i === active)
+                // mousedown fires before the input's blur
+                .on('mousedown', (event) => {
+                    event.preventDefault();
+                    this.selectSearchResult(result, false);
+                })
+                .on('mouseover', () => this.handleTimezoneHover(result.tz));
+
+            item.append('span').attr('class', 'search-result-label').text(result.label);
+            item.append('span')
+                .attr('class', 'search-result-detail')
+                .text(`${TimeFormat.formatOffset(result.tz.offsetString)} · ${this.getCurrentTimeShort(result.tz)}`);
+            item.append('button')
+                .attr('type', 'button')
+                .attr('class', 'search-result-pin')
+                .attr('title', I18n.t('search.pin'))
+                .attr('aria-label', I18n.t('search.pinLabel', { name: result.label }))
+                .text('📌')
+                .on('mousedown', (event) => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.selectSearchResult(result, true);
+                });
+        });
+    }
 
-        this.path = d3.geoPath().projection(this.projection);
+    // Highlight the result on the map, expand its card and optionally pin it
+    selectSearchResult(result, pin) {
+        const tz = result.tz;
+        const card = d3.select('#timezone-grid .timezone-card[data-key="' + tz.key + '"]');
 
-        this.init();
+        if (!card.classed('expanded')) {
+            this.handleCardClick(tz);
+        }
+        if (pin && !this.isPinned(tz)) {
+            // A second click on an expanded card pins it
+            this.handleCardClick(tz);
+        }
+
+        this.highlightedTz = tz.key;
+        this.updateHighlights();
+        this.zoomToTimezone(tz);
+        this.flashTimezone(tz);
+
+        if (card.node()) {
+            card.node().scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+        this.clearSearch();
     }
 
-    async init() {
-        this.setupSVG();
-        await this.loadData();
+    // Briefly pulse a timezone polygon so it is easy to spot on the map
+    flashTimezone(tz) {
+        this.svg.selectAll('.timezone')
+            .filter(d => d.key === tz.key)
+            .classed('flash', false)
+            .each(function() {
+                // Restart the animation
+                void this.getBoundingClientRect();
+            })
+            .classed('flash', true);
+    }
+
+    clearSearch() {
+        const input = document.getElementById('search-input');
+        input.value = '';
+        this.search.results = [];
+        this.search.active = -1;
+        this.renderSearchResults();
+    }
+
+    setupSchemePicker() {
+        const toggle = document.getElementById('scheme-toggle');
+        const picker = document.getElementById('scheme-picker');
+        if (!toggle) return;
+
+        this.setupPopover(toggle, picker, open => {
+            if (open) this.renderSchemePicker();
+        });
+    }
+
+    // Toolbar menu behaviour: the toggle opens the panel, a click outside or Escape closes it
+    setupPopover(toggle, panel, onToggle = () => {}) {
+        const setOpen = (open) => {
+            panel.hidden = !open;
+            toggle.setAttribute('aria-expanded', open);
+            onToggle(open);
+        };
+
+        toggle.addEventListener('click', () => setOpen(panel.hidden));
+        document.addEventListener('click', (event) => {
+            if (!panel.hidden && !panel.contains(event.target) && event.target !== toggle) {
+                setOpen(false);
+            }
+        });
+        panel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                setOpen(false);
+                toggle.focus();
+            }
+        });
+    }
+
+    setupFormatMenu() {
+        const toggle = document.getElementById('format-toggle');
+        const panel = document.getElementById('format-panel');
+        if (!toggle) return;
+
+        this.setupPopover(toggle, panel);
+
+        const hourCycle = document.getElementById('hour-cycle-select');
+        hourCycle.value = TimeFormat.preferences.hourCycle;
+        hourCycle.addEventListener('change', () => this.setTimeFormat({ hourCycle: hourCycle.value }));
+
+        [['seconds-toggle', 'showSeconds'], ['date-toggle', 'showDate'], ['compact-offset-toggle', 'compactOffset']]
+            .forEach(([id, key]) => {
+                const checkbox = document.getElementById(id);
+                checkbox.checked = TimeFormat.preferences[key];
+                checkbox.addEventListener('change', () => this.setTimeFormat({ [key]: checkbox.checked }));
+            });
+    }
+
+    setupExportMenu() {
+        const toggle = document.getElementById('export-toggle');
+        const panel = document.getElementById('export-panel');
+        if (!toggle) return;
+
+        this.setupPopover(toggle, panel, open => {
+            if (open) document.getElementById('export-status').textContent = '';
+        });
+
+        const actions = {
+            'export-png': () => this.exportPng(),
+            'export-svg': () => this.exportSvg(),
+            'export-copy-text': () => this.copySummary('text'),
+            'export-copy-markdown': () => this.copySummary('markdown'),
+            'export-ics': () => this.exportIcs()
+        };
+        Object.entries(actions).forEach(([id, action]) => {
+            document.getElementById(id).addEventListener('click', async () => {
+                try {
+                    await action();
+                } catch (e) {
+                    this.setExportStatus('export.failed', { message: e.message });
+                }
+            });
+        });
+    }
+
+    setExportStatus(key, params) {
+        document.getElementById('export-status').textContent = I18n.t(key, params);
+    }
+
+    // "10:00 New York / 15:00 London / 20:30 Mumbai" or a Markdown table of the
+    // pinned zones at an instant (default: the clock's now)
+    getPinnedSummary(format, instant = this.clock.now()) {
+        const rows = this.getPinnedTimezones().map(tz => ({
+            place: this.getTimezonePlace(tz),
+            time: this.formatTimeInZone(tz, { hour: 'numeric', minute: '2-digit' }, instant),
+            date: this.formatDateInZone(tz, { weekday: 'short', month: 'short', day: 'numeric' }, instant),
+            offset: TimeFormat.formatOffset(this.getOffsetStringAt(tz, instant))
+        }));
+
+        if (format === 'markdown') {
+            const cell = text => text.replace(/\|/g, '\\|');
+            const header = [I18n.t('export.place'), I18n.t('export.time'), I18n.t('export.date'), I18n.t('export.offset')];
+            return [header, header.map(() => '---')]
+                .concat(rows.map(row => [row.place, row.time, row.date, row.offset].map(cell)))
+                .map(cells => `| ${cells.join(' | ')} |`)
+                .join('\n');
+        }
+
+        // Dates only matter when the zones disagree on the day
+        const showDate = new Set(rows.map(row => row.date)).size > 1;
+        return rows.map(row => `${row.time} ${row.place}${showDate ? ` (${row.date})` : ''}`).join(' / ');
+    }
+
+    async copySummary(format) {
+        if (this.pinnedTimezones.size === 0) {
+            this.setExportStatus('export.noPins');
+            return;
+        }
+        await navigator.clipboard.writeText(this.getPinnedSummary(format));
+        this.setExportStatus('export.copied');
+    }
+
+    // Self-contained copy of the map: computed styles inlined on every element (the
+    // fractional-offset patterns live in its defs) and the pinned callouts drawn in
+    // below the map where they sit on the page
+    buildExportSvg() {
+        const source = this.svg.node();
+        const clone = source.cloneNode(true);
+        const [, , width, mapHeight] = this.svg.attr('viewBox').split(' ').map(Number);
+        const properties = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+            'stroke-linejoin', 'paint-order', 'opacity', 'filter', 'display', 'visibility',
+            'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'];
+
+        const originals = [source, ...source.querySelectorAll('*')];
+        const copies = [clone, ...clone.querySelectorAll('*')];
+        originals.forEach((element, i) => {
+            const computed = getComputedStyle(element);
+            copies[i].setAttribute('style', properties
+                // Some engines resolve url(#diagonal) against the page address
+                .map(name => `${name}:${computed.getPropertyValue(name).replace(/url\("?[^#)"]*(#[^)"]+)"?\)/g, 'url($1)')}`)
+                .join(';'));
+            copies[i].removeAttribute('tabindex');
+        });
+
+        // Page pixels to viewBox units, as for the callout lines
+        const svgRect = source.getBoundingClientRect();
+        const scale = width / svgRect.width;
+        const toViewBox = rect => ({
+            x: (rect.left - svgRect.left) * scale,
+            y: (rect.top - svgRect.top) * scale,
+            width: rect.width * scale,
+            height: rect.height * scale
+        });
+
+        let height = mapHeight;
+        const callouts = d3.select(clone).append('g').attr('class', 'export-callouts');
+        document.querySelectorAll('#pinned-callouts .pinned-callout').forEach(element => {
+            const box = toViewBox(element.getBoundingClientRect());
+            const style = getComputedStyle(element);
+            height = Math.max(height, box.y + box.height + 16);
+
+            callouts.append('rect')
+                .attr('x', box.x)
+                .attr('y', box.y)
+                .attr('width', box.width)
+                .attr('height', box.height)
+                .attr('rx', 8)
+                .attr('fill', style.backgroundColor);
+
+            // One text element per line of text, centered where the page shows it
+            element.querySelectorAll('div').forEach(line => {
+                if (line.children.length > 0 || line.textContent.trim() === '') return;
+                const lineBox = toViewBox(line.getBoundingClientRect());
+                const lineStyle = getComputedStyle(line);
+                callouts.append('text')
+                    .attr('x', box.x + box.width / 2)
+                    .attr('y', lineBox.y + lineBox.height / 2)
+                    .attr('text-anchor', 'middle')
+                    .attr('dominant-baseline', 'central')
+                    .attr('fill', lineStyle.color)
+                    .attr('fill-opacity', lineStyle.opacity)
+                    .attr('font-family', lineStyle.fontFamily)
+                    .attr('font-size', parseFloat(lineStyle.fontSize) * scale)
+                    .attr('font-weight', lineStyle.fontWeight)
+                    .text(line.textContent.trim());
+            });
+        });
+
+        d3.select(clone)
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('width', width)
+            .attr('height', height)
+            .insert('rect', ':first-child')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('fill', getComputedStyle(document.body).backgroundColor);
+
+        return { markup: new XMLSerializer().serializeToString(clone), width, height };
+    }
+
+    exportSvg() {
+        const { markup } = this.buildExportSvg();
+        this.downloadFile(new Blob([markup], { type: 'image/svg+xml' }), 'time-zone-map.svg');
+    }
+
+    // Draw the exported SVG onto a canvas at twice the map's size
+    async exportPng() {
+        const { markup, width, height } = this.buildExportSvg();
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+        try {
+            const image = new Image();
+            image.src = url;
+            await image.decode();
+
+            const scale = 2;
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            this.downloadFile(blob, 'time-zone-map.png');
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Start of the meeting planner's selected slot, else the time on the map
+    getMeetingStart() {
+        const dateValue = document.getElementById('planner-date').value;
+        if (this.planner && this.planner.open && this.planner.slot !== null && dateValue) {
+            const [year, month, day] = dateValue.split('-').map(Number);
+            return new Date(Date.UTC(year, month - 1, day) + this.planner.slot * this.planner.slotMinutes * 60000);
+        }
+        const now = this.clock.now();
+        return new Date(Math.floor(now.getTime() / 60000) * 60000);
+    }
+
+    // An .ics invite in the browser's zone, listing the time in every pinned zone
+    exportIcs() {
+        const start = this.getMeetingStart();
+        const minutes = Number(document.getElementById('export-ics-duration').value);
+        const summary = document.getElementById('export-ics-title').value.trim() || I18n.t('export.icsDefaultTitle');
+        const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+        const calendar = ICalendar.createEvent({
+            uid: `${start.getTime().toString(36)}-${Math.random().toString(36).slice(2)}@time-zone-map`,
+            summary,
+            description: this.pinnedTimezones.size > 0 ? this.getPinnedSummary('text', start) : '',
+            start,
+            end: new Date(start.getTime() + minutes * 60000),
+            zone: TimeUtils.isValidTimeZone(zone) ? zone : 'UTC',
+            stamp: new Date()
+        });
+        this.downloadFile(new Blob([calendar], { type: 'text/calendar' }), 'meeting.ics');
+        this.setExportStatus('export.icsSaved', {
+            time: start.toLocaleString(I18n.locale, TimeFormat.withHourCycle({
+                weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+            }))
+        });
+    }
+
+    // The "Add place" panel: name a place by city, coordinates or a click on the map
+    setupMarkerForm() {
+        const toggle = document.getElementById('marker-toggle');
+        const panel = document.getElementById('marker-panel');
+        if (!toggle) return;
+
+        const nameInput = document.getElementById('marker-name');
+        const locationInput = document.getElementById('marker-location');
+        const error = document.getElementById('marker-error');
+
+        // While the panel is open, map clicks pick the location instead of selecting zones
+        this.setupPopover(toggle, panel, open => {
+            d3.select('#map-container').classed('placing-marker', open);
+            if (open) {
+                this.renderCityOptions();
+                nameInput.focus();
+            }
+        });
+        this.svg.node().addEventListener('click', (event) => {
+            if (panel.hidden) return;
+            event.stopPropagation();
+
+            const point = this.projection.invert(d3.pointer(event, this.svg.select('.zoom-layer').node()));
+            if (!point || !point.every(Number.isFinite) || !this.isVisible(point)) return;
+            locationInput.value = `${point[1].toFixed(2)}, ${point[0].toFixed(2)}`;
+            error.textContent = '';
+            (nameInput.value ? locationInput : nameInput).focus();
+        }, true); // Capture, so the polygon under the click never sees it
+
+        document.getElementById('marker-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            const location = this.resolveLocation(locationInput.value);
+            if (!location) {
+                error.textContent = I18n.t('marker.notFound');
+                return;
+            }
+            const name = nameInput.value.trim() || location.name || locationInput.value.trim();
+            this.addMarker(name, location.latitude, location.longitude);
+            nameInput.value = '';
+            locationInput.value = '';
+            error.textContent = '';
+        });
+    }
+
+    // Suggestions for the location field, in the current language
+    renderCityOptions() {
+        const list = d3.select('#marker-cities');
+        list.selectAll('option')
+            .data(CityGazetteer.cities.map(city => I18n.cityName(city.name)).sort((a, b) => a.localeCompare(b, I18n.locale)))
+            .join('option')
+            .attr('value', d => d);
+    }
+
+    // A gazetteer city (English or localized name) or coordinates such as "52.52, 13.40"
+    // as { latitude, longitude, name }, or null
+    resolveLocation(text) {
+        const coordinates = TimeUtils.parseCoordinates(text);
+        if (coordinates) return { ...coordinates, name: null };
+
+        const normalize = value => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+        const query = normalize(text);
+        if (query === '') return null;
+        const city = CityGazetteer.cities.find(c => normalize(c.name) === query || normalize(I18n.cityName(c.name)) === query);
+        return city ? { latitude: city.latitude, longitude: city.longitude, name: I18n.cityName(city.name) } : null;
+    }
+
+    addMarker(name, latitude, longitude) {
+        this.markers.push({ id: 'm' + Date.now().toString(36), name, latitude, longitude });
+        this.renderMarkers();
+        this.renderPinnedCallouts();
+        this.persistState();
+    }
+
+    removeMarker(id) {
+        this.markers = this.markers.filter(marker => marker.id !== id);
+        this.renderMarkers();
+        this.renderPinnedCallouts();
+        this.persistState();
+    }
+
+    // Group containing a [longitude, latitude] point. Points outside every polygon
+    // (open sea in some data sets) get the group nearest their nautical offset.
+    findTimezoneAt(point) {
+        const containing = this.timezones.find(tz => this.containsPoint(tz, point));
+        if (containing) return containing;
+
+        const nautical = Math.round(point[0] / 15);
+        return this.timezones.reduce((nearest, tz) =>
+            Math.abs(tz.offset - nautical) < Math.abs(nearest.offset - nautical) ? tz : nearest);
+    }
+
+    // Point-in-polygon test per polygon. Rings wound counterclockwise (the GeoJSON
+    // convention) read as their complement in d3, so anything larger than a
+    // hemisphere is taken inside out.
+    containsPoint(tz, point) {
+        return tz.geometry.geometries.some(geometry => {
+            const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates
+                : geometry.type === 'Polygon' ? [geometry.coordinates] : [];
+            return polygons.some(coordinates => {
+                const polygon = { type: 'Polygon', coordinates };
+                const inside = d3.geoContains(polygon, point);
+                return d3.geoArea(polygon) > 2 * Math.PI ? !inside : inside;
+            });
+        });
+    }
+
+    // Memoize a zone lookup until the groups change (DST, grouping mode, level of detail)
+    lookupTimezone(cacheKey, resolve) {
+        if (!this.zoneLookups || this.zoneLookups.timezones !== this.timezones) {
+            this.zoneLookups = { timezones: this.timezones, results: new Map() };
+        }
+        const { results } = this.zoneLookups;
+        if (!results.has(cacheKey)) {
+            results.set(cacheKey, resolve());
+        }
+        return results.get(cacheKey);
+    }
+
+    getMarkerTimezone(marker) {
+        return this.lookupTimezone('marker:' + marker.id,
+            () => this.findTimezoneAt([marker.longitude, marker.latitude]));
+    }
+
+    // Change display preferences and redraw every clock, date and offset label
+    setTimeFormat(changes) {
+        TimeFormat.set(changes);
         this.render();
-        this.startTimeClock();
-        this.setupResizeHandler();
+        this.renderMeetingPlanner();
+        this.renderTeamPanel();
+        this.renderEventsPanel();
+        this.updateTimeTravelDisplay();
+        this.persistState();
     }
 
-    setupResizeHandler() {
-        let resizeTimeout;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
-                this.renderPinnedCalloutLines();
-            }, 100);
+    // List every registered scheme with its description and a swatch strip of
+    // the colors it would give the current zones
+    renderSchemePicker() {
+        const picker = d3.select('#scheme-picker');
+        if (picker.empty() || picker.property('hidden')) return;
+        picker.html('');
+
+        const sorted = this.getOffsetGroups();
+        const now = this.clock.now();
+
+        Object.entries(ColorSchemes).forEach(([key, scheme]) => {
+            const scale = scheme.generator(sorted, now, this.theme);
+            const option = picker.append('button')
+                .attr('type', 'button')
+                .attr('class', 'scheme-option')
+                .attr('aria-pressed', key === this.colorSchemeKey)
+                .classed('active', key === this.colorSchemeKey)
+                .on('click', () => this.setColorScheme(key));
+
+            option.append('div').attr('class', 'scheme-name').text(scheme.name);
+            option.append('div').attr('class', 'scheme-description').text(scheme.description);
+
+            const swatches = option.append('div').attr('class', 'scheme-swatches');
+            sorted.forEach(tz => {
+                swatches.append('span')
+                    .attr('class', 'scheme-swatch')
+                    .attr('title', tz.offsetString)
+                    .style('background-color', String(scale(tz.offset)));
+            });
+        });
+    }
+
+    setupThemeToggle() {
+        const select = document.getElementById('theme-select');
+        if (!select) return;
+
+        select.value = this.themePreference;
+        select.addEventListener('change', () => {
+            this.themePreference = select.value;
+            this.applyTheme();
+            this.persistState();
         });
+
+        // Follow the OS setting live while on "system"
+        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+            if (this.themePreference === 'system') {
+                this.applyTheme();
+            }
+        });
+    }
+
+    setupLocaleSelect() {
+        const select = document.getElementById('locale-select');
+        if (!select) return;
+
+        // Each language is listed under its own name
+        I18n.getAvailableLanguages().forEach(language => {
+            select.add(new Option(I18n.languageName(language), language));
+        });
+        if (!Array.from(select.options).some(option => option.value === I18n.preference)) {
+            select.add(new Option(I18n.languageName(I18n.preference), I18n.preference));
+        }
+        select.value = I18n.preference;
+        select.addEventListener('change', () => this.setLocale(select.value));
+    }
+
+    setLocale(preference) {
+        I18n.setLocale(preference);
+        this.applyLocale();
+        this.render();
+        this.renderMeetingPlanner();
+        this.renderTeamPanel();
+        this.renderEventsPanel();
+        this.updateTimeTravelDisplay();
+        this.persistState();
+    }
+
+    // Translate the static page and set its language and writing direction
+    applyLocale() {
+        document.documentElement.lang = I18n.locale;
+        document.documentElement.dir = I18n.getDirection();
+        I18n.translateDocument();
+        this.svg.attr('aria-label', I18n.t('map.label'));
+
+        const projectionSelect = document.getElementById('projection-select');
+        if (projectionSelect) {
+            Array.from(projectionSelect.options).forEach(option => {
+                option.text = this.getProjectionName(option.value);
+            });
+        }
+
+        const durationSelect = document.getElementById('export-ics-duration');
+        if (durationSelect) {
+            const minutes = new Intl.NumberFormat(I18n.locale, { style: 'unit', unit: 'minute' });
+            Array.from(durationSelect.options).forEach(option => {
+                option.text = minutes.format(Number(option.value));
+            });
+        }
+    }
+
+    setupTwilightToggle() {
+        const checkbox = document.getElementById('twilight-toggle');
+        if (!checkbox) return;
+
+        checkbox.checked = this.showTwilight;
+        checkbox.addEventListener('change', () => {
+            this.showTwilight = checkbox.checked;
+            this.renderNightShading();
+            this.persistState();
+        });
+    }
+
+    setupGroupByToggle() {
+        const select = document.getElementById('group-select');
+        if (!select) return;
+
+        select.value = this.groupBy;
+        select.addEventListener('change', () => this.setGroupBy(select.value));
+    }
+
+    setupProjectionControls() {
+        const select = document.getElementById('projection-select');
+        const meridian = document.getElementById('meridian-input');
+        if (!select || !meridian) return;
+
+        Object.keys(MapProjections).forEach(key => {
+            select.add(new Option(this.getProjectionName(key), key));
+        });
+        select.value = this.projectionKey;
+        select.addEventListener('change', () => this.setProjection(select.value));
+
+        meridian.addEventListener('input', () => this.setCentralMeridian(Number(meridian.value)));
+        this.updateMeridianControl();
+    }
+
+    // Show the central meridian as e.g. "150°E"
+    updateMeridianControl() {
+        const meridian = document.getElementById('meridian-input');
+        const display = document.getElementById('meridian-display');
+        if (!meridian) return;
+
+        const longitude = Math.round(this.centralMeridian);
+        meridian.value = longitude;
+        if (display) {
+            display.textContent = longitude === 0 || Math.abs(longitude) === 180
+                ? `${Math.abs(longitude)}°`
+                : `${Math.abs(longitude)}°${longitude > 0 ? 'E' : 'W'}`;
+        }
+    }
+
+    getProjectionName(key) {
+        const message = 'projection.' + key;
+        const name = I18n.t(message);
+        return name === message ? MapProjections[key].name : name;
+    }
+
+    setProjection(key) {
+        if (!MapProjections[key]) return;
+        this.projectionKey = key;
+        this.reproject();
+    }
+
+    setCentralMeridian(longitude) {
+        this.centralMeridian = this.normalizeLongitude(longitude);
+        this.reproject();
+        this.updateMeridianControl();
+    }
+
+    // Rebuild the projection and redraw the map from an unzoomed view
+    reproject() {
+        this.createProjection();
+        this.svg.call(this.zoom.transform, d3.zoomIdentity);
+        this.renderMap();
+        this.renderPinnedCalloutLines();
+        this.persistState();
+    }
+
+    // Wrap a longitude into [-180, 180]
+    normalizeLongitude(longitude) {
+        if (longitude >= -180 && longitude <= 180) return longitude;
+        return ((longitude + 180) % 360 + 360) % 360 - 180;
+    }
+
+    // Resolve the light/dark/system preference and restyle CSS surfaces, the
+    // inline map styles and the color scheme
+    applyTheme() {
+        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        this.theme = this.themePreference === 'system'
+            ? (prefersDark ? 'dark' : 'light')
+            : this.themePreference;
+        document.documentElement.dataset.theme = this.theme;
+
+        // Before data has loaded there is nothing to redraw yet
+        if (this.timezones) {
+            this.updateColorScale();
+            this.render();
+            this.renderSchemePicker();
+        }
+    }
+
+    // Readable text color for a colored background in the current theme
+    getTextColor(bgColor) {
+        const theme = Themes[this.theme];
+        const rgb = d3.rgb(d3.color(bgColor));
+        // Using relative luminance formula
+        const luminance = (0.299 * rgb.r + 0.587 * rgb.g + 0.114 * rgb.b) / 255;
+        return luminance > theme.textLuminanceThreshold ? theme.darkText : theme.lightText;
     }
 
     setupSVG() {
         this.svg
             .attr('viewBox', `0 0 ${this.width} ${this.height}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet');
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .attr('role', 'group')
+            .attr('aria-label', I18n.t('map.label'));
 
         // Add defs for patterns
         const defs = this.svg.append('defs');
@@ -78,90 +1903,442 @@ class TimeZoneMap {
             .attr('stroke-width', 0.8)
             .attr('opacity', 0.25);
 
-        // Add groups for layering (order matters - last is on top)
-        this.svg.append('g').attr('class', 'timezones-group');
-        this.svg.append('g').attr('class', 'countries-group');
-        this.svg.append('g').attr('class', 'country-borders-group');
+        // Round crop for team avatars on the map
+        defs.append('clipPath')
+            .attr('id', 'team-avatar-clip')
+            .attr('clipPathUnits', 'objectBoundingBox')
+            .append('circle')
+            .attr('cx', 0.5)
+            .attr('cy', 0.5)
+            .attr('r', 0.5);
+
+        // Dots for zones on a different calendar date than the viewer
+        defs.append('pattern')
+            .attr('id', 'date-dots')
+            .attr('patternUnits', 'userSpaceOnUse')
+            .attr('width', 6)
+            .attr('height', 6)
+            .append('circle')
+            .attr('cx', 3)
+            .attr('cy', 3)
+            .attr('r', 0.8)
+            .attr('fill', '#ffffff')
+            .attr('opacity', 0.35);
+
+        // Add groups for layering (order matters - last is on top).
+        // Geographic layers zoom together; callouts stay in screen space.
+        const zoomLayer = this.svg.append('g').attr('class', 'zoom-layer');
+        zoomLayer.append('g').attr('class', 'sphere-group');
+        zoomLayer.append('g').attr('class', 'timezones-group');
+        zoomLayer.append('g').attr('class', 'countries-group');
+        zoomLayer.append('g').attr('class', 'country-borders-group');
+        zoomLayer.append('g').attr('class', 'night-group');
+        zoomLayer.append('g').attr('class', 'date-group');
         this.svg.append('g').attr('class', 'pinned-callout-lines-group');
         this.svg.append('g').attr('class', 'labels-group');
+        this.svg.append('g').attr('class', 'markers-group');
+        this.svg.append('g').attr('class', 'team-group');
+
+        this.setupZoom();
+    }
+
+    // Build the selected projection, rotated to the central meridian and fitted to the map
+    createProjection() {
+        const definition = MapProjections[this.projectionKey];
+        const extent = [[25, 24], [this.width - 25, this.height - 24]];
+        const projection = definition.create();
+
+        if (definition.globe) {
+            projection.rotate([-this.centralMeridian, -this.globeTilt]).fitExtent(extent, { type: 'Sphere' });
+        } else if (definition.maxLatitude) {
+            // The poles are infinitely far away, so fit and clip to a band of latitudes
+            const corners = [
+                [this.centralMeridian - 179.9, definition.maxLatitude],
+                [this.centralMeridian + 179.9, -definition.maxLatitude]
+            ];
+            projection.rotate([-this.centralMeridian, 0])
+                .fitExtent(extent, { type: 'MultiPoint', coordinates: corners });
+            projection.clipExtent(corners.map(corner => projection(corner)));
+        } else {
+            projection.rotate([-this.centralMeridian, 0]).fitExtent(extent, { type: 'Sphere' });
+        }
+
+        this.projection = projection;
+        this.path = d3.geoPath().projection(projection);
+    }
+
+    isGlobe() {
+        return Boolean(MapProjections[this.projectionKey].globe);
+    }
+
+    // Whether a [longitude, latitude] point is on the visible side of the globe
+    isVisible(point) {
+        if (!this.isGlobe()) return true;
+        const [lambda, phi] = this.projection.rotate();
+        return d3.geoDistance(point, [-lambda, -phi]) < Math.PI / 2;
+    }
+
+    // Project a [longitude, latitude] point into the (zoomed) SVG viewBox, or null if hidden
+    projectPoint(point) {
+        const maxLatitude = MapProjections[this.projectionKey].maxLatitude;
+        if (maxLatitude) {
+            point = [point[0], Math.max(-maxLatitude, Math.min(maxLatitude, point[1]))];
+        }
+        return this.isVisible(point) ? this.toScreen(this.projection(point)) : null;
+    }
+
+    // Rotate the globe by a drag of (dx, dy) in viewBox pixels
+    rotateGlobe(dx, dy) {
+        const degreesPerPixel = 180 / (Math.PI * this.projection.scale() * this.zoomTransform.k);
+        this.centralMeridian = this.normalizeLongitude(this.centralMeridian - dx * degreesPerPixel);
+        this.globeTilt = Math.max(-90, Math.min(90, this.globeTilt + dy * degreesPerPixel));
+        this.projection.rotate([-this.centralMeridian, -this.globeTilt]);
+        this.renderMap();
+        this.renderPinnedCalloutLines();
+        this.updateMeridianControl();
+    }
+
+    setupZoom() {
+        this.zoom = d3.zoom()
+            .scaleExtent([1, 12])
+            .translateExtent([[0, 0], [this.width, this.height]])
+            // On the globe a one-finger or mouse drag rotates instead of panning
+            .filter(event => (!event.ctrlKey || event.type === 'wheel') && !event.button
+                && !(this.isGlobe() && (event.type === 'mousedown'
+                    || (event.type === 'touchstart' && event.touches.length < 2))))
+            .on('zoom', (event) => {
+                this.zoomTransform = event.transform;
+                this.svg.select('.zoom-layer').attr('transform', event.transform);
+                // Keep the sun marker the same size on screen
+                this.svg.select('.subsolar-point').attr('r', 6 / event.transform.k);
+                if (this.timezones) {
+                    this.renderTimezoneCallouts();
+                    this.renderMarkers();
+                    this.renderTeamMarkers();
+                    this.renderPinnedCalloutLines();
+                }
+                d3.select('#zoom-reset').attr('hidden', event.transform.k === 1 ? true : null);
+            })
+            .on('end', (event) => this.updateLevelOfDetail(event.transform.k));
+
+        this.svg.call(this.zoom);
+
+        this.svg.call(d3.drag()
+            .container(this.svg.node())
+            .filter(event => this.isGlobe() && !event.button && (!event.touches || event.touches.length === 1))
+            .on('drag', (event) => this.rotateGlobe(event.dx, event.dy))
+            .on('end', () => this.persistState()));
+
+        const resetButton = document.getElementById('zoom-reset');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => this.resetZoom());
+        }
+    }
+
+    resetZoom() {
+        this.svg.transition().duration(500).call(this.zoom.transform, d3.zoomIdentity);
+    }
+
+    // Zoom the map to fit a timezone's polygons, turning the globe to face it first
+    zoomToTimezone(tz) {
+        if (this.isGlobe()) {
+            const [longitude, latitude] = d3.geoCentroid({ type: 'Feature', geometry: tz.geometry });
+            this.centralMeridian = longitude;
+            this.globeTilt = latitude;
+            this.projection.rotate([-longitude, -latitude]);
+            this.renderMap();
+            this.updateMeridianControl();
+            this.persistState();
+        }
+
+        const [[x0, y0], [x1, y1]] = this.path.bounds({ type: 'Feature', geometry: tz.geometry });
+        const scale = Math.max(1, Math.min(8, 0.9 / Math.max((x1 - x0) / this.width, (y1 - y0) / this.height)));
+        const transform = d3.zoomIdentity
+            .translate(this.width / 2, this.mapCenterY)
+            .scale(scale)
+            .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+
+        this.svg.transition().duration(750).call(this.zoom.transform, transform);
+    }
+
+    // Map a point from projection space to the (zoomed) SVG viewBox
+    toScreen(point) {
+        return point ? this.zoomTransform.apply(point) : null;
+    }
+
+    // Fetch (once) the data for a detail level; resolves to null if it is unavailable
+    loadDetailLevel(level) {
+        if (!this.detailCache.has(level.url)) {
+            this.detailCache.set(level.url, d3.json(level.url).catch(error => {
+                console.warn(`Detail level ${level.url} unavailable:`, error.message);
+                return null;
+            }));
+        }
+        return this.detailCache.get(level.url);
+    }
+
+    // Swap country geometry for the most detailed level suited to the zoom
+    async updateLevelOfDetail(k) {
+        const pick = levels => levels.filter(level => level.minZoom <= k).pop();
+
+        const countryLevel = pick(this.detailLevels.countries);
+        if (countryLevel !== this.activeDetail.countries) {
+            this.activeDetail.countries = countryLevel;
+            const worldData = await this.loadDetailLevel(countryLevel);
+            // Ignore results that arrive after the zoom has moved on
+            if (worldData && this.activeDetail.countries === countryLevel) {
+                this.countries = topojson.feature(worldData, worldData.objects.countries);
+                this.renderCountries();
+                this.renderCountryBorders();
+            }
+        }
     }
 
     async loadData() {
         // Load world map data from Natural Earth
-        const worldData = await d3.json('https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json');
+        const worldData = await this.loadDetailLevel(this.detailLevels.countries[0]);
         this.countries = topojson.feature(worldData, worldData.objects.countries);
+        this.activeDetail.countries = this.detailLevels.countries[0];
 
         // Load timezone data from GeoJSON file
         const tzData = await d3.json('timezones.geojson');
 
-        // Group timezones by UTC offset to reduce label clutter
+        this.tzFeatures = tzData.features;
+        const now = this.clock.now();
+        this.timezones = this.groupTimezones(now);
+        this.offsetSignature = this.getOffsetSignature(now);
+
+        console.log(`Loaded ${this.timezones.length} timezone groups (from ${tzData.features.length} features)`);
+
+        // Create color scale for timezones - using 4-hour time blocks
+        this.colorSchemeKey = this.colorSchemeKey || 'timeBlocks4Hour';
+        this.updateColorScale();
+    }
+
+    // Group timezone features by their UTC offset at the given instant, so zones
+    // observing DST land in the group they belong to at that moment. In 'zone'
+    // mode each IANA zone is its own group; features without one still group by offset.
+    groupTimezones(date) {
         const grouped = new Map();
 
-        tzData.features.forEach(feature => {
-            const offset = feature.properties.offset;
-            if (!grouped.has(offset)) {
-                grouped.set(offset, {
+        this.tzFeatures.forEach(feature => {
+            const zone = TimeUtils.getZoneName(feature.properties);
+            const offset = zone ? TimeUtils.getOffsetAtInstant(zone, date) : feature.properties.offset;
+            const groupKey = this.groupBy === 'zone' && zone ? zone : offset;
+            if (!grouped.has(groupKey)) {
+                grouped.set(groupKey, {
                     offset: offset,
-                    offsetString: feature.properties.offsetString || this.formatOffset(offset),
+                    offsetString: zone ? this.formatOffset(offset) : (feature.properties.offsetString || this.formatOffset(offset)),
+                    zones: [],
                     names: [],
                     cities: new Set(),
+                    places: new Map(),
                     geometries: []
                 });
             }
 
-            const group = grouped.get(offset);
+            const group = grouped.get(groupKey);
             group.geometries.push(feature.geometry);
+            if (zone && !group.zones.includes(zone)) {
+                group.zones.push(zone);
+            }
             if (feature.properties.name) {
                 group.names.push(feature.properties.name);
             }
             if (feature.properties.cities) {
-                feature.properties.cities.forEach(city => group.cities.add(city));
+                // Cities are gazetteer objects with coordinates, or plain names in older data
+                feature.properties.cities.forEach(city => {
+                    const place = typeof city === 'string' ? CityGazetteer.find(city) : city;
+                    const name = typeof city === 'string' ? city : city.name;
+                    group.cities.add(name);
+                    if (place && place.latitude !== undefined && !group.places.has(name)) {
+                        group.places.set(name, place);
+                    }
+                });
             }
         });
 
         // Convert grouped data to timezone objects
-        this.timezones = Array.from(grouped.values()).map(group => ({
+        const byZone = this.groupBy === 'zone';
+        return Array.from(grouped.values()).map(group => ({
+            // Stable key for pins and expansion: survives the group's offset changing
+            id: group.zones[0] || group.offsetString,
+            // Safe for DOM ids: the offset when grouping by offset (e.g. '5_5', 'neg3_5'), else the zone
+            key: byZone && group.zones[0]
+                ? group.zones[0].replace(/[^A-Za-z0-9_-]/g, '_')
+                : group.offset.toString().replace('.', '_').replace('-', 'neg'),
             offset: group.offset,
             offsetString: group.offsetString,
-            name: group.names[0] || `UTC${group.offset >= 0 ? '+' : ''}${group.offset}`,
+            name: byZone && group.zones[0]
+                ? TimeUtils.getZoneLabel(group.zones[0])
+                : group.names[0] || `UTC${group.offset >= 0 ? '+' : ''}${group.offset}`,
+            // Representative IANA zone used for all time calculations (null = offset fallback)
+            zone: group.zones[0] || null,
+            zones: group.zones,
             names: group.names,
             cities: Array.from(group.cities),
+            // Cities with known coordinates: { name, latitude, longitude, zone }
+            places: Array.from(group.places.values()),
             geometry: {
                 type: 'GeometryCollection',
                 geometries: group.geometries
             }
-        })).sort((a, b) => a.offset - b.offset);
+        })).sort((a, b) => a.offset - b.offset || a.name.localeCompare(b.name));
+    }
 
-        console.log(`Loaded ${this.timezones.length} timezone groups (from ${tzData.features.length} features)`);
+    // One timezone per distinct offset: the groups themselves, or the first zone
+    // of each offset in zone mode. Color schemes are generated from these.
+    getOffsetGroups() {
+        const seen = new Set();
+        return this.timezones.filter(tz => {
+            if (seen.has(tz.offset)) return false;
+            seen.add(tz.offset);
+            return true;
+        });
+    }
+
+    // Compact fingerprint of every zone's UTC offset at an instant; it changes
+    // exactly when some zone enters or leaves DST
+    getOffsetSignature(date) {
+        return this.tzFeatures
+            .map(feature => {
+                const zone = TimeUtils.getZoneName(feature.properties);
+                return zone ? TimeUtils.getOffsetAtInstant(zone, date) : feature.properties.offset;
+            })
+            .join(',');
+    }
+
+    // Rebuild the offset groups when a DST transition has happened since the
+    // last check, then recolor and re-render everything that depends on them
+    checkForOffsetChanges() {
+        const now = this.clock.now();
+
+        // Transitions happen on minute boundaries, so once a minute is enough
+        const minute = Math.floor(now.getTime() / 60000);
+        if (minute === this.lastOffsetCheckMinute) return;
+        this.lastOffsetCheckMinute = minute;
+
+        const signature = this.getOffsetSignature(now);
+        if (signature === this.offsetSignature) return;
+
+        this.offsetSignature = signature;
+        this.timezones = this.groupTimezones(now);
+
+        this.updateColorScale();
+        this.render();
+    }
+
+    // Schemes color offsets; in zone mode getColor then shades zones sharing an offset
+    updateColorScale() {
+        this.colorScale = ColorSchemes[this.colorSchemeKey].generator(this.getOffsetGroups(), this.clock.now(), this.theme);
+
+        this.zonesByOffset = new Map();
+        this.timezones.forEach(tz => {
+            if (!this.zonesByOffset.has(tz.offset)) {
+                this.zonesByOffset.set(tz.offset, []);
+            }
+            this.zonesByOffset.get(tz.offset).push(tz);
+        });
+    }
+
+    // Fill color of a timezone: its offset's color, in a slightly different shade
+    // for each zone when several zones share the offset
+    getColor(tz) {
+        const color = this.colorScale(tz.offset);
+        const siblings = this.zonesByOffset.get(tz.offset) || [];
+        if (siblings.length < 2) return color;
+        return ColorUtils.shadeForZone(color, siblings.indexOf(tz), siblings.length);
+    }
+
+    // Switch between one group per offset and one per IANA zone. Pins and the
+    // expanded card carry over because both are keyed by zone name.
+    setGroupBy(mode) {
+        if (mode !== 'offset' && mode !== 'zone') return;
+        this.groupBy = mode;
+        this.timezones = this.groupTimezones(this.clock.now());
+        this.updateColorScale();
+        this.render();
+        this.renderSchemePicker();
+        this.persistState();
+    }
+
+    // Re-derive everything from the clock after it jumps (time travel or back to live)
+    refreshForClock() {
+        const now = this.clock.now();
+        this.offsetSignature = this.getOffsetSignature(now);
+        this.timezones = this.groupTimezones(now);
+        this.updateColorScale();
+        this.render();
+        this.updateTimeTravelDisplay();
+        this.persistState();
+    }
+
+    // Whether a stored pin/expansion key refers to this timezone group
+    matchesKey(tz, key) {
+        return tz.id === key || tz.zones.includes(key) || tz.offsetString === key;
+    }
 
-        // Create color scale for timezones - using 4-hour time blocks
-        this.colorScale = ColorSchemes.timeBlocks4Hour.generator(this.timezones);
+    isPinned(tz) {
+        return Array.from(this.pinnedTimezones).some(key => this.matchesKey(tz, key));
     }
 
+    // Pinned groups sorted by offset; several pins can resolve to the same group
+    // after a DST transition merges their zones
+    getPinnedTimezones() {
+        return this.timezones
+            .filter(tz => this.isPinned(tz))
+            .sort((a, b) => a.offset - b.offset);
+    }
 
     formatOffset(offset) {
         if (offset === 0) return 'UTC+0';
 
-        // Handle fractional offsets (like India's +5:30)
-        if (offset % 1 !== 0) {
-            const hours = Math.floor(offset);
-            const minutes = Math.abs((offset % 1) * 60);
-            const sign = offset > 0 ? '+' : '';
+        // Handle fractional offsets (like India's +5:30 or Newfoundland's -3:30)
+        const sign = offset > 0 ? '+' : '-';
+        const absOffset = Math.abs(offset);
+        const hours = Math.floor(absOffset);
+        const minutes = Math.round((absOffset % 1) * 60);
+
+        if (minutes !== 0) {
             return `UTC${sign}${hours}:${minutes.toString().padStart(2, '0')}`;
         }
 
-        const sign = offset > 0 ? '+' : '';
-        return `UTC${sign}${offset}`;
+        return `UTC${sign}${hours}`;
     }
 
     render() {
+        this.renderMap();
+        this.renderPinnedCallouts();
+        this.renderTimezoneGrid();
+        this.renderDetailSheet();
+        this.renderConverter();
+    }
+
+    // Everything drawn through the projection
+    renderMap() {
+        this.renderSphere();
         this.renderTimezones();
         this.renderCountries();
         this.renderCountryBorders();
-        this.renderDayNightLine();
+        this.renderNightShading();
+        this.renderDateLines();
         this.renderTimezoneCallouts();
-        this.renderPinnedCallouts();
-        this.renderTimezoneGrid();
+        this.renderMarkers();
+        this.renderTeamMarkers();
+    }
+
+    // Outline of the globe; flat projections keep their borderless look
+    renderSphere() {
+        this.svg.select('.sphere-group').selectAll('path.sphere')
+            .data(this.isGlobe() ? [{ type: 'Sphere' }] : [])
+            .join('path')
+            .attr('class', 'sphere')
+            .attr('d', this.path)
+            .style('fill', 'none')
+            .style('stroke', Themes[this.theme].borderStroke)
+            .style('stroke-width', 1)
+            .style('stroke-opacity', 0.4)
+            .style('pointer-events', 'none');
     }
 
     renderCountries() {
@@ -172,8 +2349,8 @@ class TimeZoneMap {
             .join('path')
             .attr('class', 'country')
             .attr('d', this.path)
-            .style('fill', '#ffffff')
-            .style('fill-opacity', 0.4)
+            .style('fill', Themes[this.theme].countryFill)
+            .style('fill-opacity', Themes[this.theme].countryFillOpacity)
             .style('stroke', 'none')
             .style('pointer-events', 'none');
     }
@@ -187,63 +2364,126 @@ class TimeZoneMap {
             .attr('class', 'country-border')
             .attr('d', this.path)
             .style('fill', 'none')
-            .style('stroke', '#333')
+            .style('stroke', Themes[this.theme].borderStroke)
             .style('stroke-width', 0.5)
             .style('stroke-opacity', 0.4)
             .style('pointer-events', 'none');
     }
 
-    renderDayNightLine() {
-        const now = new Date();
+    // Geographic point where the sun is directly overhead: [longitude, latitude]
+    getSubsolarPoint(date) {
+        const { longitude, latitude } = SolarPosition.getSubsolarPoint(date);
+        return [longitude, latitude];
+    }
 
-        // Calculate solar declination (simplified - varies with season)
-        const dayOfYear = Math.floor((now - new Date(now.getFullYear(), 0, 0)) / 86400000);
-        const solarDeclination = -23.44 * Math.cos((360 / 365) * (dayOfYear + 10) * Math.PI / 180);
+    // Shade the night hemisphere as a small circle around the antisolar point, which
+    // D3 clips correctly for any projection, with optional twilight bands and the
+    // subsolar point. Called from render and on every clock tick.
+    renderNightShading() {
+        const now = this.clock.now();
+        const theme = Themes[this.theme];
+        const [sunLon, sunLat] = this.getSubsolarPoint(now);
+        const antisolar = [sunLon > 0 ? sunLon - 180 : sunLon + 180, -sunLat];
+
+        // The sun is below the horizon within 90° of the antisolar point; civil,
+        // nautical and astronomical twilight end at 6°, 12° and 18° below it
+        const bands = this.showTwilight
+            ? [
+                { name: 'night', radius: 90, opacity: theme.twilightOpacity },
+                { name: 'civil', radius: 84, opacity: theme.twilightOpacity },
+                { name: 'nautical', radius: 78, opacity: theme.twilightOpacity },
+                { name: 'astronomical', radius: 72, opacity: theme.twilightOpacity }
+            ]
+            : [{ name: 'night', radius: 90, opacity: theme.nightOpacity }];
+
+        const nightGroup = this.svg.select('.night-group');
+
+        nightGroup.selectAll('path.night-band')
+            .data(bands, d => d.name)
+            .join('path')
+            .attr('class', d => `night-band night-band-${d.name}`)
+            .attr('d', d => this.path(d3.geoCircle().center(antisolar).radius(d.radius).precision(1)()))
+            .style('fill', theme.nightFill)
+            .style('fill-opacity', d => d.opacity)
+            .style('stroke', d => d.name === 'night' ? theme.terminator : 'none')
+            .style('stroke-width', 1.5)
+            .style('stroke-opacity', 0.8)
+            .style('pointer-events', 'none');
 
-        // Calculate hour angle (longitude where sun is overhead)
-        const hours = now.getUTCHours() + now.getUTCMinutes() / 60;
-        const solarLongitude = (hours - 12) * 15; // 15 degrees per hour
+        const projected = this.isVisible([sunLon, sunLat]) ? this.projection([sunLon, sunLat]) : null;
+        nightGroup.selectAll('circle.subsolar-point')
+            .data(projected ? [projected] : [])
+            .join('circle')
+            .attr('class', 'subsolar-point')
+            .attr('cx', d => d[0])
+            .attr('cy', d => d[1])
+            .attr('r', 6 / this.zoomTransform.k)
+            .style('fill', theme.terminator)
+            .style('stroke', '#fff')
+            .style('stroke-width', 1.5)
+            .style('pointer-events', 'none')
+            .style('filter', 'drop-shadow(0 0 4px rgba(255, 200, 0, 0.8))')
+            .selectAll('title')
+            .data([I18n.t('sun.subsolar')])
+            .join('title')
+            .text(d => d);
+    }
 
-        // Generate terminator line points
-        const terminatorPoints = [];
-        for (let lat = -90; lat <= 90; lat += 1) {
-            // Calculate longitude where it's sunrise/sunset at this latitude
-            const cosHourAngle = -Math.tan(lat * Math.PI / 180) * Math.tan(solarDeclination * Math.PI / 180);
+    // Draw the International Date Line and the meridian where it is currently
+    // midnight, and dot the zones whose calendar date differs from the viewer's.
+    // Called from renderMap and once a minute.
+    renderDateLines() {
+        const now = this.clock.now();
+        const theme = Themes[this.theme];
+        const dateGroup = this.svg.select('.date-group');
 
-            if (Math.abs(cosHourAngle) <= 1) {
-                const hourAngle = Math.acos(cosHourAngle) * 180 / Math.PI;
-                const lon1 = solarLongitude + hourAngle;
-                const lon2 = solarLongitude - hourAngle;
+        dateGroup.selectAll('path.date-shade')
+            .data(this.timezones.filter(tz => TimeUtils.getDayDifference(tz, now) !== 0), d => d.id)
+            .join('path')
+            .attr('class', 'date-shade')
+            .attr('d', d => this.path({ type: 'Feature', geometry: d.geometry }))
+            .style('fill', 'url(#date-dots)')
+            .style('pointer-events', 'none');
 
-                terminatorPoints.push([lon1, lat]);
-                terminatorPoints.push([lon2, lat]);
+        // Nominal midnight: the longitude whose mean solar time (UTC + longitude / 15) is 00:00
+        const utcHours = (now.getTime() % 86400000 + 86400000) % 86400000 / 3600000;
+        const midnightLongitude = this.normalizeLongitude(-15 * utcHours);
+        const newDate = new Date(now.getTime() + midnightLongitude * 240000 + 60000)
+            .toLocaleDateString(I18n.locale, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+        const lines = [
+            {
+                name: 'date-line',
+                geometry: InternationalDateLine,
+                stroke: theme.dateLine,
+                dash: null,
+                title: I18n.t('dateLine.title')
+            },
+            {
+                name: 'midnight',
+                // The equator point keeps the meridian from being read as the shorter arc over a pole
+                geometry: { type: 'LineString', coordinates: [[midnightLongitude, 89.9], [midnightLongitude, 0], [midnightLongitude, -89.9]] },
+                stroke: theme.midnight,
+                dash: '6,4',
+                title: I18n.t('dateLine.midnight', { date: newDate })
             }
-        }
+        ];
 
-        // Sort points to create a continuous line
-        terminatorPoints.sort((a, b) => a[1] - b[1]);
-
-        // Create GeoJSON line
-        const terminatorLine = {
-            type: 'LineString',
-            coordinates: terminatorPoints
-        };
-
-        // Draw the terminator line
-        const labelsGroup = this.svg.select('.labels-group');
-        labelsGroup.selectAll('.day-night-line').remove();
-
-        labelsGroup.append('path')
-            .datum(terminatorLine)
-            .attr('class', 'day-night-line')
-            .attr('d', this.path)
+        dateGroup.selectAll('path.date-boundary')
+            .data(lines, d => d.name)
+            .join('path')
+            .attr('class', d => `date-boundary date-boundary-${d.name}`)
+            .attr('d', d => this.path(d.geometry))
             .style('fill', 'none')
-            .style('stroke', '#FFD700')
-            .style('stroke-width', 3)
+            .style('stroke', d => d.stroke)
+            .style('stroke-width', 1.5)
+            .style('stroke-dasharray', d => d.dash)
             .style('stroke-opacity', 0.8)
-            .style('stroke-dasharray', '10,5')
-            .style('pointer-events', 'none')
-            .style('filter', 'drop-shadow(0 0 2px rgba(0,0,0,0.5))');
+            .style('pointer-events', 'stroke')
+            .selectAll('title')
+            .data(d => [d.title])
+            .join('title')
+            .text(d => d);
     }
 
     renderTimezones() {
@@ -256,10 +2496,18 @@ class TimeZoneMap {
             .attr('class', 'timezone')
             .attr('d', d => this.path({ type: 'Feature', geometry: d.geometry }))
             .attr('data-offset', d => d.offset)
-            .style('fill', d => this.colorScale(d.offset))
+            .attr('role', 'button')
+            .attr('tabindex', d => d.key === this.getFocusKey() ? 0 : -1)
+            .attr('aria-label', d => this.getAriaLabel(d))
+            .attr('aria-describedby', 'keyboard-help')
+            .style('fill', d => this.getColor(d))
             .on('mouseover', (event, d) => this.handleTimezoneHover(d))
             .on('mouseout', () => this.handleTimezoneLeave())
-            .on('click', (event, d) => this.handleCardClick(d));
+            .on('click', (event, d) => this.handleTimezoneTap(d))
+            .on('keydown', (event, d) => this.handleTimezoneKeydown(event, d, 'map'))
+            .on('focus', (event, d) => this.handleTimezoneFocus(d))
+            .on('blur', () => this.handleTimezoneLeave())
+            .call(selection => this.addLongPress(selection));
 
         // Add pattern overlay for fractional offset timezones
         const fractionalTzs = this.timezones.filter(tz => tz.offset % 1 !== 0);
@@ -280,13 +2528,16 @@ class TimeZoneMap {
                 }
             })
             .style('pointer-events', 'none'); // Don't interfere with base timezone events
+
+        this.updateHighlights();
     }
 
     renderTimezoneCallouts() {
         const labelsGroup = this.svg.select('.labels-group');
-        labelsGroup.selectAll('*').remove(); // Clear existing callouts
+        labelsGroup.selectAll('.callout-line, .callout-time').remove(); // Clear existing callouts
 
         // Group timezones by their time block (same as color scheme)
+        const now = this.clock.now();
         const blocks = {
             'midnight': [],
             'earlyMorning': [],
@@ -299,7 +2550,7 @@ class TimeZoneMap {
         this.timezones.forEach(tz => {
             // Skip fractional offsets
             if (tz.offset % 1 !== 0) return;
-            const hour = ColorUtils.getHourInTimezone(tz.offset);
+            const hour = ColorUtils.getHourInTimezone(tz, now);
             if (hour >= 0 && hour < 4) blocks.midnight.push(tz);
             else if (hour >= 4 && hour < 8) blocks.earlyMorning.push(tz);
             else if (hour >= 8 && hour < 12) blocks.morning.push(tz);
@@ -326,7 +2577,7 @@ class TimeZoneMap {
             };
 
             const startHour = blockStartHours[blockName];
-            const tz = block.find(t => ColorUtils.getHourInTimezone(t.offset) === startHour);
+            const tz = block.find(t => ColorUtils.getHourInTimezone(t, now) === startHour);
 
             if (!tz) return; // No timezone starts exactly at this block boundary
 
@@ -336,12 +2587,12 @@ class TimeZoneMap {
 
             // Use the centroid longitude but the northernmost latitude
             const topPoint = [centroid[0], bounds[1][1]];
-            const projected = this.projection(topPoint);
+            const projected = this.projectPoint(topPoint);
 
-            if (!projected || projected[0] < 0 || projected[0] > this.width) return;
+            if (!projected || projected[0] < 0 || projected[0] > this.width || projected[1] > this.height) return;
 
             const calloutY = 30; // Position above the map
-            const color = this.colorScale(tz.offset);
+            const color = this.getColor(tz);
 
             // Draw vertical line
             labelsGroup.append('line')
@@ -362,8 +2613,20 @@ class TimeZoneMap {
                 .attr('text-anchor', 'middle')
                 .attr('font-size', '20px')
                 .attr('fill', color)
-                .attr('id', 'callout-time-' + tz.offset.toString().replace('.', '_').replace('-', 'neg'))
-                .text(this.getCurrentTimeShort(tz.offset));
+                .attr('id', 'callout-time-' + tz.key)
+                .text(this.getCurrentTimeShort(tz));
+
+            // Weekday above the time when it is not the viewer's day (or always, if dates are shown)
+            if (TimeFormat.preferences.showDate || TimeUtils.getDayDifference(tz, now) !== 0) {
+                labelsGroup.append('text')
+                    .attr('class', 'callout-time callout-date')
+                    .attr('x', projected[0])
+                    .attr('y', calloutY - 27)
+                    .attr('text-anchor', 'middle')
+                    .attr('font-size', '11px')
+                    .attr('fill', color)
+                    .text(this.formatDateInZone(tz, { weekday: 'short' }, now));
+            }
         });
     }
 
@@ -371,35 +2634,32 @@ class TimeZoneMap {
         const container = d3.select('#pinned-callouts');
         container.html('');
 
-        if (this.pinnedTimezones.size === 0) {
-            // Clear callout lines when no timezones are pinned
+        if (this.pinnedTimezones.size === 0 && this.markers.length === 0) {
+            // Clear callout lines when nothing is pinned
             this.renderPinnedCalloutLines();
+            this.renderMeetingPlanner();
+            this.renderEventTimes();
             return;
         }
 
         // Get pinned timezones sorted by offset
-        const pinnedTzs = Array.from(this.pinnedTimezones)
-            .map(offset => this.timezones.find(tz => tz.offset === offset))
-            .filter(tz => tz !== undefined)
-            .sort((a, b) => a.offset - b.offset);
+        const pinnedTzs = this.getPinnedTimezones();
 
         pinnedTzs.forEach(tz => {
-            const bgColor = this.colorScale(tz.offset);
-            
-            // Calculate perceived lightness to determine text color
-            const color = d3.color(bgColor);
-            const rgb = d3.rgb(color);
-            const luminance = (0.299 * rgb.r + 0.587 * rgb.g + 0.114 * rgb.b) / 255;
-            const textColor = luminance > 0.7 ? 'rgba(0,0,0,0.7)' : 'rgba(255,255,255,0.9)';
+            const bgColor = this.getColor(tz);
+            const textColor = this.getTextColor(bgColor);
 
             const callout = container.append('div')
                 .attr('class', 'pinned-callout')
                 .attr('data-offset', tz.offset)
+                .attr('data-key', tz.key)
                 .style('background-color', bgColor)
                 .style('color', textColor)
-                .on('click', () => this.handleCardClick(tz))
+                .datum(tz)
+                .on('click', () => this.handleTimezoneTap(tz))
                 .on('mouseover', () => this.handleTimezoneHover(tz))
-                .on('mouseout', () => this.handleTimezoneLeave());
+                .on('mouseout', () => this.handleTimezoneLeave())
+                .call(selection => this.addLongPress(selection));
 
             if (tz.offset % 1 !== 0) {
                 const fraction = Math.abs(tz.offset % 1);
@@ -411,29 +2671,45 @@ class TimeZoneMap {
             }
 
             const header = callout.append('div').attr('class', 'pinned-callout-header');
-            header.append('div').attr('class', 'pinned-offset').text(tz.offsetString);
+            header.append('div').attr('class', 'pinned-offset').text(TimeFormat.formatOffset(tz.offsetString));
+            header.append('div').attr('class', 'pinned-zone').text(this.getZoneTitle(tz));
             header.append('div')
                 .attr('class', 'pinned-time')
-                .attr('id', 'pinned-time-' + tz.offset.toString().replace('.', '_').replace('-', 'neg'))
-                .text(this.getCurrentTimeFull(tz.offset));
+                .attr('id', 'pinned-time-' + tz.key)
+                .text(this.getCurrentTimeFull(tz));
+            header.append('div')
+                .attr('class', 'pinned-date')
+                .attr('id', 'pinned-date-' + tz.key)
+                .text(this.getDateLabel(tz));
 
-            const names = tz.cities.slice(0, 3).concat(tz.names.filter(name => isNaN(parseFloat(name))).slice(0, 2));
+            const names = tz.cities.slice(0, 3).map(city => I18n.cityName(city)).concat(tz.names.filter(name => isNaN(parseFloat(name))).slice(0, 2));
             if (names.length > 0) {
                 callout.append('div')
                     .attr('class', 'pinned-location')
                     .text(names.slice(0, 3).join(', '));
             }
+
+            if (this.getTeamMembers(tz).length > 0) {
+                callout.append('div')
+                    .attr('class', 'pinned-team')
+                    .attr('id', 'pinned-team-' + tz.key)
+                    .text(this.getTeamSummary(tz));
+            }
         });
 
+        this.markers.forEach(marker => this.appendMarkerCallout(container, marker));
+
         // Draw lines from timezones to pinned callouts
         this.renderPinnedCalloutLines();
+        this.renderMeetingPlanner();
+        this.renderEventTimes();
     }
 
     renderPinnedCalloutLines() {
         const linesGroup = this.svg.select('.pinned-callout-lines-group');
         linesGroup.selectAll('*').remove();
 
-        if (this.pinnedTimezones.size === 0) {
+        if (this.pinnedTimezones.size === 0 && this.markers.length === 0) {
             return;
         }
 
@@ -447,33 +2723,23 @@ class TimeZoneMap {
             const viewBoxWidth = svgViewBox[2];
             const viewBoxHeight = svgViewBox[3];
 
-            // Get pinned timezones sorted by offset
-            const pinnedTzs = Array.from(this.pinnedTimezones)
-                .map(offset => this.timezones.find(tz => tz.offset === offset))
-                .filter(tz => tz !== undefined)
-                .sort((a, b) => a.offset - b.offset);
+            // Line from a point on the map to the top of a callout
+            const drawLine = (point, calloutElement, color) => {
+                const projected = this.projectPoint(point);
 
-            pinnedTzs.forEach((tz) => {
-                // Get the timezone bounds and find the bottom (southernmost) point
-                const bounds = d3.geoBounds({ type: 'Feature', geometry: tz.geometry });
-                const centroid = d3.geoCentroid({ type: 'Feature', geometry: tz.geometry });
-                
-                // Use the centroid longitude but the southernmost latitude (bottom of timezone)
-                const bottomPoint = [centroid[0], bounds[0][1]];
-                const projected = this.projection(bottomPoint);
-
-                if (!projected || projected[0] < 0 || projected[0] > this.width) {
+                if (!calloutElement || !projected || projected[0] < 0 || projected[0] > this.width || projected[1] < 0) {
                     return;
                 }
 
-                // Find the corresponding callout element
-                const calloutElement = document.querySelector(`.pinned-callout[data-offset="${tz.offset}"]`);
-                if (!calloutElement) {
+                const calloutRect = calloutElement.getBoundingClientRect();
+
+                // Callouts scrolled out of the sideways strip on narrow screens get no line
+                const stripRect = calloutElement.parentElement.getBoundingClientRect();
+                const centerX = calloutRect.left + calloutRect.width / 2;
+                if (centerX < stripRect.left || centerX > stripRect.right) {
                     return;
                 }
 
-                const calloutRect = calloutElement.getBoundingClientRect();
-
                 // Calculate the callout top center position relative to the SVG
                 const calloutTopCenterX = calloutRect.left + calloutRect.width / 2 - svgRect.left;
                 const calloutTopCenterY = calloutRect.top - svgRect.top;
@@ -484,7 +2750,7 @@ class TimeZoneMap {
                 const endX = calloutTopCenterX * scaleX;
                 const endY = calloutTopCenterY * scaleY;
 
-                // Start point: timezone centroid on map (already in SVG coordinates)
+                // Start point on the map (already in SVG coordinates)
                 const startX = projected[0];
                 const startY = projected[1];
 
@@ -493,9 +2759,6 @@ class TimeZoneMap {
                     return; // Don't draw if callout is too high
                 }
 
-                const color = this.colorScale(tz.offset);
-
-                // Draw line from timezone to callout
                 linesGroup.append('line')
                     .attr('class', 'pinned-callout-line')
                     .attr('x1', startX)
@@ -507,7 +2770,105 @@ class TimeZoneMap {
                     .attr('opacity', 0.6)
                     .attr('stroke-dasharray', '4,2')
                     .style('pointer-events', 'none');
+            };
+
+            // Pinned zones connect from the bottom of the zone: centroid longitude, southernmost latitude
+            this.getPinnedTimezones().forEach(tz => {
+                const bounds = d3.geoBounds({ type: 'Feature', geometry: tz.geometry });
+                const centroid = d3.geoCentroid({ type: 'Feature', geometry: tz.geometry });
+                drawLine([centroid[0], bounds[0][1]],
+                    document.querySelector(`.pinned-callout[data-key="${tz.key}"]`), this.getColor(tz));
             });
+
+            // Markers connect from their own point
+            this.markers.forEach(marker => {
+                drawLine([marker.longitude, marker.latitude],
+                    document.querySelector(`.pinned-callout[data-marker="${marker.id}"]`),
+                    this.getColor(this.getMarkerTimezone(marker)));
+            });
+        });
+    }
+
+    // Pinned callout for a named place: its own label, the zone it falls in and its local time
+    appendMarkerCallout(container, marker) {
+        const tz = this.getMarkerTimezone(marker);
+        const bgColor = this.getColor(tz);
+
+        const callout = container.append('div')
+            .attr('class', 'pinned-callout marker-callout')
+            .attr('data-marker', marker.id)
+            .style('background-color', bgColor)
+            .style('color', this.getTextColor(bgColor))
+            .on('mouseover', () => this.handleTimezoneHover(tz))
+            .on('mouseout', () => this.handleTimezoneLeave());
+
+        const header = callout.append('div').attr('class', 'pinned-callout-header');
+        header.append('div').attr('class', 'pinned-offset').text(marker.name);
+        header.append('div')
+            .attr('class', 'pinned-zone')
+            .text([TimeFormat.formatOffset(tz.offsetString), this.getZoneTitle(tz)].filter(Boolean).join(' · '));
+        header.append('div')
+            .attr('class', 'pinned-time')
+            .attr('id', 'marker-pinned-time-' + marker.id)
+            .text(this.getCurrentTimeFull(tz));
+        header.append('div')
+            .attr('class', 'pinned-date')
+            .attr('id', 'marker-pinned-date-' + marker.id)
+            .text(this.getDateLabel(tz));
+
+        callout.append('button')
+            .attr('type', 'button')
+            .attr('class', 'marker-remove')
+            .attr('aria-label', I18n.t('marker.remove', { name: marker.name }))
+            .attr('title', I18n.t('marker.remove', { name: marker.name }))
+            .text('✕')
+            .on('click', (event) => {
+                event.stopPropagation();
+                this.removeMarker(marker.id);
+            });
+    }
+
+    // Named places on the map: a dot in their zone's color with the name and local time.
+    // Drawn in screen space so labels keep their size when zooming.
+    renderMarkers() {
+        const group = this.svg.select('.markers-group');
+        const visible = this.markers
+            .map(marker => ({ marker, position: this.projectPoint([marker.longitude, marker.latitude]) }))
+            .filter(({ position }) => position && position[0] >= 0 && position[0] <= this.width
+                && position[1] >= 0 && position[1] <= this.height);
+
+        const markers = group.selectAll('g.marker')
+            .data(visible, d => d.marker.id)
+            .join(enter => {
+                const g = enter.append('g').attr('class', 'marker');
+                g.append('circle').attr('r', 5).attr('stroke-width', 1.5);
+                g.append('text')
+                    .attr('class', 'marker-name')
+                    .attr('y', -22)
+                    .attr('text-anchor', 'middle')
+                    .attr('font-size', '11px');
+                g.append('text')
+                    .attr('class', 'marker-time')
+                    .attr('y', -8)
+                    .attr('text-anchor', 'middle')
+                    .attr('font-size', '14px');
+                g.append('title');
+                return g;
+            })
+            .attr('transform', d => `translate(${d.position[0]},${d.position[1]})`);
+
+        markers.each((d, i, nodes) => {
+            const tz = this.getMarkerTimezone(d.marker);
+            const g = d3.select(nodes[i]);
+            g.select('circle')
+                .style('fill', this.getColor(tz))
+                .style('stroke', Themes[this.theme].borderStroke);
+            g.selectAll('text').style('fill', Themes[this.theme].borderStroke);
+            g.select('.marker-name').text(d.marker.name);
+            g.select('.marker-time')
+                .attr('id', 'marker-time-' + d.marker.id)
+                .text(this.getCurrentTimeShort(tz));
+            g.select('title').text(`${d.marker.name}, ${TimeFormat.formatOffset(tz.offsetString)}`);
         });
     }
 
@@ -518,23 +2879,30 @@ class TimeZoneMap {
         const sorted = [...this.timezones].sort((a, b) => a.offset - b.offset);
 
         sorted.forEach(tz => {
-            const bgColor = this.colorScale(tz.offset);
-
-            // Calculate perceived lightness to determine text color
-            const color = d3.color(bgColor);
-            const rgb = d3.rgb(color);
-            // Using relative luminance formula
-            const luminance = (0.299 * rgb.r + 0.587 * rgb.g + 0.114 * rgb.b) / 255;
-            const textColor = luminance > 0.7 ? 'rgba(0,0,0,0.7)' : 'rgba(255,255,255,0.9)';
+            const bgColor = this.getColor(tz);
+            const textColor = this.getTextColor(bgColor);
 
             const card = container.append('div')
                 .attr('class', 'timezone-card')
+                .classed('pinned', this.isPinned(tz))
+                .classed('expanded', this.isExpanded(tz))
                 .attr('data-offset', tz.offset)
+                .attr('data-key', tz.key)
+                .attr('role', 'group')
+                .attr('tabindex', tz.key === this.getFocusKey() ? 0 : -1)
+                .attr('aria-label', this.getAriaLabel(tz))
+                .attr('aria-expanded', this.isExpanded(tz))
+                .attr('aria-describedby', 'keyboard-help')
                 .style('background-color', bgColor)
                 .style('color', textColor)
-                .on('click', () => this.handleCardClick(tz))
+                .datum(tz)
+                .on('click', () => this.handleTimezoneTap(tz))
                 .on('mouseover', () => this.handleTimezoneHover(tz))
-                .on('mouseout', () => this.handleTimezoneLeave());
+                .on('mouseout', () => this.handleTimezoneLeave())
+                .on('keydown', (event) => this.handleTimezoneKeydown(event, tz, 'card'))
+                .on('focus', () => this.handleTimezoneFocus(tz))
+                .on('blur', () => this.handleTimezoneLeave())
+                .call(selection => this.addLongPress(selection));
 
             if (tz.offset % 1 !== 0) {
                 const fraction = Math.abs(tz.offset % 1);
@@ -549,16 +2917,24 @@ class TimeZoneMap {
             card.append('div').attr('class', 'pin-indicator').text('📌');
 
             const header = card.append('div').attr('class', 'card-header');
-            const title = header.append('div').attr('class', 'offset').text(tz.offsetString);
+            const title = header.append('div').attr('class', 'offset').text(TimeFormat.formatOffset(tz.offsetString));
+            header.append('div')
+                .attr('class', 'zone-name')
+                .attr('title', this.groupBy === 'zone' && tz.zone ? I18n.zoneName(tz.zone) : null)
+                .text(this.getZoneTitle(tz));
             header.append('div')
                 .attr('class', 'time-compact')
-                .attr('id', 'time-compact-' + tz.offset.toString().replace('.', '_').replace('-', 'neg'))
-                .text(this.getCurrentTimeShort(tz.offset));
+                .attr('id', 'time-compact-' + tz.key)
+                .text(this.getCurrentTimeShort(tz));
+            header.append('div')
+                .attr('class', 'card-date')
+                .attr('id', 'card-date-' + tz.key)
+                .text(this.getDateLabel(tz));
 
             const expanded = card.append('div').attr('class', 'expanded-content');
 
             // Add location header at the top of expanded content
-            const names = tz.cities.slice(0, 4).concat(tz.names.filter(name => isNaN(parseFloat(name))).slice(0, 4));
+            const names = tz.cities.slice(0, 4).map(city => I18n.cityName(city)).concat(tz.names.filter(name => isNaN(parseFloat(name))).slice(0, 4));
             if (names.length > 0) {
                 expanded.append('div')
                 .attr('class', 'location-header')
@@ -566,24 +2942,10 @@ class TimeZoneMap {
             }
             expanded.append('div')
                 .attr('class', 'time-display')
-                .attr('id', 'time-full-' + tz.offset.toString().replace('.', '_').replace('-', 'neg'))
-                .text(this.getCurrentTimeFull(tz.offset));
-
-            const browserOffset = -new Date().getTimezoneOffset() / 60;
-            const relativeOffset = tz.offset - browserOffset;
-            let relativeText = 'Your time zone';
-
-            if (relativeOffset > 0) {
-                const hours = Math.floor(Math.abs(relativeOffset));
-                const minutes = Math.round((Math.abs(relativeOffset) % 1) * 60);
-                relativeText = minutes > 0 ? hours + 'h ' + minutes + 'm ahead of your time zone' : hours + ' hours ahead of your time zone';
-            } else if (relativeOffset < 0) {
-                const hours = Math.floor(Math.abs(relativeOffset));
-                const minutes = Math.round((Math.abs(relativeOffset) % 1) * 60);
-                relativeText = minutes > 0 ? hours + 'h ' + minutes + 'm behind your time zone' : hours + ' hours behind your time zone';
-            }
+                .attr('id', 'time-full-' + tz.key)
+                .text(this.getCurrentTimeFull(tz));
 
-            expanded.append('div').attr('class', 'time-info').text(relativeText);
+            expanded.append('div').attr('class', 'time-info').text(this.getRelativeOffsetText(tz));
 
             // Add Wikipedia link
             const wikiUrl = this.getWikipediaUrl(tz.offset);
@@ -592,36 +2954,138 @@ class TimeZoneMap {
                 .attr('href', wikiUrl)
                 .attr('target', '_blank')
                 .attr('rel', 'noopener noreferrer')
-                .text('Wikipedia →');
+                .text(I18n.t('card.wikipedia'));
+
+            if (tz.places.length > 0) {
+                const sunSection = expanded.append('div').attr('class', 'cities-list');
+                sunSection.append('h3').text(I18n.t('sun.heading'));
+                sunSection.append('div')
+                    .attr('class', 'sun-info')
+                    .attr('id', 'sun-info-' + tz.key);
+                this.renderSunInfo(tz);
+            }
         });
     }
 
-    getCurrentTime(offset) {
-        const now = new Date();
-        const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
-        const tzTime = new Date(utc + (3600000 * offset));
+    // "5h 30m ahead of your time zone"
+    // Offset relative to the browser, or to the converter's source zone while converting
+    getRelativeOffsetText(tz) {
+        const source = this.getConverterSource();
+        if (source) {
+            return this.formatRelativeOffset(tz.offset - source.offset,
+                { same: 'relative.sameAs', ahead: 'relative.aheadOf', behind: 'relative.behindOf' },
+                { name: this.getTimezonePlace(source) });
+        }
+
+        const browserOffset = -this.clock.now().getTimezoneOffset() / 60;
+        return this.formatRelativeOffset(tz.offset - browserOffset,
+            { same: 'relative.same', ahead: 'relative.ahead', behind: 'relative.behind' });
+    }
+
+    formatRelativeOffset(relativeOffset, keys, params = {}) {
+        if (relativeOffset === 0) return I18n.t(keys.same, params);
+
+        const hours = Math.floor(Math.abs(relativeOffset));
+        const minutes = Math.round((Math.abs(relativeOffset) % 1) * 60);
+        const duration = I18n.formatDuration(hours, minutes);
+        return I18n.t(relativeOffset > 0 ? keys.ahead : keys.behind, { ...params, duration });
+    }
 
-        return tzTime.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: false
+    // Fill a sunrise/sunset list (a card's by default): one row per city with coordinates
+    renderSunInfo(tz, container = d3.select('#sun-info-' + tz.key)) {
+        if (container.empty()) return;
+        container.html('');
+
+        const now = this.clock.now();
+        const timeOptions = { hour: 'numeric', minute: '2-digit' };
+
+        tz.places.slice(0, 4).forEach(place => {
+            const sun = SolarPosition.getSunTimes(now, place.latitude, place.longitude);
+            const isDaylight = SolarPosition.isDaylight(now, place.latitude, place.longitude);
+            // Format in the city's own zone where known, so its DST applies
+            const localZone = place.zone && TimeUtils.isValidTimeZone(place.zone)
+                ? { zone: place.zone, offset: tz.offset }
+                : tz;
+
+            let detail;
+            if (sun.polarDay) {
+                detail = I18n.t('sun.upAllDay');
+            } else if (sun.polarNight) {
+                detail = I18n.t('sun.downAllDay');
+            } else {
+                const hours = Math.floor(sun.dayLength / 3600000);
+                const minutes = Math.round((sun.dayLength % 3600000) / 60000);
+                detail = `↑ ${this.formatTimeInZone(localZone, timeOptions, sun.sunrise)} ` +
+                    `↓ ${this.formatTimeInZone(localZone, timeOptions, sun.sunset)} · ${I18n.formatDuration(hours, minutes)}`;
+            }
+
+            const row = container.append('div')
+                .attr('class', 'sun-row')
+                .classed('daylight', isDaylight);
+            row.append('span')
+                .attr('class', 'sun-status')
+                .attr('title', I18n.t(isDaylight ? 'sun.daylightNow' : 'sun.darkNow'))
+                .text(isDaylight ? '☀' : '☾');
+            row.append('span').attr('class', 'sun-city').text(I18n.cityName(place.name));
+            row.append('span').attr('class', 'sun-times').text(detail);
         });
     }
 
-    getCurrentTimeShort(offset) {
-        const now = new Date();
-        const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
-        const tzTime = new Date(utc + (3600000 * offset));
-        return tzTime.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+    // Format an instant (default: the clock's now) in a timezone group. Uses the group's
+    // IANA zone so DST is respected, falling back to the fixed offset when there is no valid zone.
+    formatTimeInZone(tz, options, now = this.clock.now()) {
+        if (tz.zone) {
+            return now.toLocaleTimeString(I18n.locale, { ...TimeFormat.withHourCycle(options), timeZone: tz.zone });
+        }
+
+        const tzTime = new Date(now.getTime() + (3600000 * tz.offset));
+        return tzTime.toLocaleTimeString(I18n.locale, { ...TimeFormat.withHourCycle(options), timeZone: 'UTC' });
     }
 
-    getCurrentTimeFull(offset) {
-        const now = new Date();
-        const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
-        const tzTime = new Date(utc + (3600000 * offset));
-        return tzTime.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', second: '2-digit', hour12: true });
+    // "Kolkata · IST" in zone mode; '' when grouping by offset
+    getZoneTitle(tz) {
+        if (this.groupBy !== 'zone' || !tz.zone) return '';
+        const [abbreviation] = TimeUtils.getAbbreviations(tz.zone, this.clock.now());
+        const name = I18n.cityName(tz.name);
+        return abbreviation ? `${name} · ${abbreviation}` : name;
+    }
+
+    // Format the calendar date of an instant in a timezone group, like formatTimeInZone
+    formatDateInZone(tz, options, now = this.clock.now()) {
+        if (tz.zone) {
+            return now.toLocaleDateString(I18n.locale, { ...options, timeZone: tz.zone });
+        }
+
+        const tzTime = new Date(now.getTime() + (3600000 * tz.offset));
+        return tzTime.toLocaleDateString(I18n.locale, { ...options, timeZone: 'UTC' });
+    }
+
+    // "Tomorrow, Wed, Oct 22" when a group's date differs from the viewer's; otherwise
+    // the plain date if dates are always shown, or ''
+    getDateLabel(tz, now = this.clock.now()) {
+        const difference = TimeUtils.getDayDifference(tz, now);
+        if (difference === 0 && !TimeFormat.preferences.showDate) return '';
+
+        const date = this.formatDateInZone(tz, { weekday: 'short', month: 'short', day: 'numeric' }, now);
+        return Math.abs(difference) === 1 ? `${I18n.relativeDay(difference)}, ${date}` : date;
     }
 
+    // Offset label of a timezone group at an arbitrary instant (DST-aware)
+    getOffsetStringAt(tz, date) {
+        return tz.zone ? this.formatOffset(TimeUtils.getOffsetAtInstant(tz.zone, date)) : tz.offsetString;
+    }
+
+    // Compact clock for card headers, map callouts and search results
+    getCurrentTimeShort(tz) {
+        return this.formatTimeInZone(tz, TimeFormat.timeOptions());
+    }
+
+    // Detailed clock for expanded cards, pinned callouts and the detail sheet
+    getCurrentTimeFull(tz) {
+        return this.formatTimeInZone(tz, TimeFormat.timeOptions({ seconds: true }));
+    }
+
+    // Article on the offset in the reader's language edition of Wikipedia
     getWikipediaUrl(offset) {
         // Format offset for Wikipedia URL (e.g., UTC+05:30 or UTC−09:00)
         const absOffset = Math.abs(offset);
@@ -633,49 +3097,107 @@ class TimeZoneMap {
         const minutesStr = minutes.toString().padStart(2, '0');
 
         const utcString = `UTC${sign}${hoursStr}:${minutesStr}`;
-        return `https://en.wikipedia.org/wiki/${encodeURIComponent(utcString)}`;
+        const language = I18n.getLanguage();
+        if (language === 'en') {
+            return `https://en.wikipedia.org/wiki/${encodeURIComponent(utcString)}`;
+        }
+        // Other editions title these articles differently; "go" opens the best match
+        const query = `UTC${offset >= 0 ? '+' : '-'}${hours}${minutes > 0 ? ':' + minutesStr : ''}`;
+        return `https://${language}.wikipedia.org/wiki/Special:Search?search=${encodeURIComponent(query)}&go=Go`;
     }
 
     startTimeClock() {
         // Update all times every second
         setInterval(() => {
+            this.checkForOffsetChanges();
             this.updateAllTimes();
+            this.renderNightShading();
         }, 1000);
     }
 
     updateAllTimes() {
+        // Dates, sun times and daylight only change meaningfully once a minute
+        const minute = Math.floor(this.clock.now().getTime() / 60000);
+        const newMinute = minute !== this.lastMinuteUpdate;
+        this.lastMinuteUpdate = minute;
+
+        if (newMinute) {
+            this.renderDateLines();
+            this.renderTimezoneCallouts();
+            this.updateAriaLabels();
+            this.renderDetailSheet();
+            this.renderTeamMarkers();
+            this.renderTeamPanel();
+        }
+
+        const sheetTime = document.getElementById('sheet-time');
+        const sheetTz = this.getSheetTimezone();
+        if (sheetTime && sheetTz) {
+            sheetTime.textContent = this.getCurrentTimeFull(sheetTz);
+        }
+
         // Update compact times on cards
         this.timezones.forEach(tz => {
-            const compactId = 'time-compact-' + tz.offset.toString().replace('.', '_').replace('-', 'neg');
+            const compactId = 'time-compact-' + tz.key;
             const compactEl = document.getElementById(compactId);
             if (compactEl) {
-                compactEl.textContent = this.getCurrentTimeShort(tz.offset);
+                compactEl.textContent = this.getCurrentTimeShort(tz);
             }
 
-            const fullId = 'time-full-' + tz.offset.toString().replace('.', '_').replace('-', 'neg');
+            const fullId = 'time-full-' + tz.key;
             const fullEl = document.getElementById(fullId);
             if (fullEl) {
-                fullEl.textContent = this.getCurrentTimeFull(tz.offset);
+                fullEl.textContent = this.getCurrentTimeFull(tz);
             }
 
             // Update callout times
-            const calloutId = 'callout-time-' + tz.offset.toString().replace('.', '_').replace('-', 'neg');
+            const calloutId = 'callout-time-' + tz.key;
             const calloutLabel = this.svg.select('#' + calloutId);
             if (!calloutLabel.empty()) {
-                calloutLabel.text(this.getCurrentTimeShort(tz.offset));
+                calloutLabel.text(this.getCurrentTimeShort(tz));
+            }
+
+            if (newMinute) {
+                this.renderSunInfo(tz);
+
+                const dateLabel = this.getDateLabel(tz);
+                ['card-date-', 'pinned-date-'].forEach(prefix => {
+                    const dateEl = document.getElementById(prefix + tz.key);
+                    if (dateEl) {
+                        dateEl.textContent = dateLabel;
+                    }
+                });
+
+                const teamEl = document.getElementById('pinned-team-' + tz.key);
+                if (teamEl) {
+                    teamEl.textContent = this.getTeamSummary(tz);
+                }
             }
 
             // Update pinned callout times
-            const pinnedTimeId = 'pinned-time-' + tz.offset.toString().replace('.', '_').replace('-', 'neg');
+            const pinnedTimeId = 'pinned-time-' + tz.key;
             const pinnedTimeEl = document.getElementById(pinnedTimeId);
             if (pinnedTimeEl) {
-                pinnedTimeEl.textContent = this.getCurrentTimeFull(tz.offset);
+                pinnedTimeEl.textContent = this.getCurrentTimeFull(tz);
+            }
+        });
+
+        this.markers.forEach(marker => {
+            const tz = this.getMarkerTimezone(marker);
+            this.svg.select('#marker-time-' + marker.id).text(this.getCurrentTimeShort(tz));
+            const pinnedTimeEl = document.getElementById('marker-pinned-time-' + marker.id);
+            if (pinnedTimeEl) {
+                pinnedTimeEl.textContent = this.getCurrentTimeFull(tz);
+            }
+            const dateEl = document.getElementById('marker-pinned-date-' + marker.id);
+            if (newMinute && dateEl) {
+                dateEl.textContent = this.getDateLabel(tz);
             }
         });
     }
 
     handleTimezoneHover(tz) {
-        this.highlightedTz = tz.offset;
+        this.highlightedTz = tz.key;
         this.updateHighlights();
     }
 
@@ -684,51 +3206,546 @@ class TimeZoneMap {
         this.updateHighlights();
     }
 
+    // Click or tap on a polygon, card or pinned callout. Touch mode highlights the
+    // zone and opens the detail sheet instead of expanding the card in the grid.
+    handleTimezoneTap(tz) {
+        if (this.suppressNextTap) {
+            this.suppressNextTap = false;
+            return;
+        }
+        if (this.touchMode) {
+            this.handleTimezoneHover(tz);
+            this.openDetailSheet(tz);
+        } else {
+            this.handleCardClick(tz);
+        }
+    }
+
+    // Pin or unpin with a half-second touch press; the click that follows is swallowed
+    addLongPress(selection) {
+        let timer = null;
+        let start = null;
+        const cancel = () => {
+            clearTimeout(timer);
+            timer = null;
+        };
+
+        selection
+            .on('pointerdown.longpress', (event, tz) => {
+                this.suppressNextTap = false;
+                if (event.pointerType !== 'touch') return;
+                start = [event.clientX, event.clientY];
+                cancel();
+                timer = setTimeout(() => {
+                    timer = null;
+                    this.suppressNextTap = true;
+                    this.togglePin(tz);
+                    this.flashTimezone(tz);
+                    this.renderDetailSheet();
+                    if (navigator.vibrate) {
+                        navigator.vibrate(20);
+                    }
+                }, 500);
+            })
+            .on('pointermove.longpress', (event) => {
+                // Panning or scrolling is not a press
+                if (timer && Math.hypot(event.clientX - start[0], event.clientY - start[1]) > 10) {
+                    cancel();
+                }
+            })
+            .on('pointerup.longpress pointercancel.longpress', cancel)
+            .on('contextmenu.longpress', (event) => {
+                if (this.touchMode) {
+                    event.preventDefault();
+                }
+            });
+    }
+
+    // Phones and tablets have no hover: taps highlight, long presses pin and details
+    // open in a bottom sheet. Follows the primary input device as it changes.
+    setupTouchMode() {
+        const query = window.matchMedia('(hover: none) and (pointer: coarse)');
+        const apply = () => {
+            this.touchMode = query.matches;
+            document.body.classList.toggle('touch-mode', this.touchMode);
+            if (!this.touchMode) {
+                this.closeDetailSheet();
+            }
+        };
+        query.addEventListener('change', apply);
+        apply();
+
+        const closeButton = document.getElementById('detail-sheet-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.closeDetailSheet());
+        }
+        const sheet = document.getElementById('detail-sheet');
+        if (sheet) {
+            sheet.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') {
+                    this.closeDetailSheet();
+                }
+            });
+        }
+
+        // Narrow portrait layouts scroll the pinned callouts sideways; keep their lines attached
+        document.getElementById('pinned-callouts').addEventListener('scroll', () => {
+            this.renderPinnedCalloutLines();
+        }, { passive: true });
+    }
+
+    openDetailSheet(tz) {
+        this.sheetKey = tz.id;
+        this.renderDetailSheet();
+    }
+
+    closeDetailSheet() {
+        if (this.sheetKey === null) return;
+        this.sheetKey = null;
+        this.renderDetailSheet();
+        this.handleTimezoneLeave();
+    }
+
+    getSheetTimezone() {
+        if (this.sheetKey === null || !this.timezones) return null;
+        return this.timezones.find(tz => this.matchesKey(tz, this.sheetKey)) || null;
+    }
+
+    // Touch-mode details for one zone: what an expanded card shows, plus a pin button
+    renderDetailSheet() {
+        const sheet = document.getElementById('detail-sheet');
+        if (!sheet) return;
+
+        const tz = this.getSheetTimezone();
+        sheet.hidden = !tz;
+        if (!tz) return;
+
+        d3.select(sheet).style('border-top-color', this.getColor(tz));
+        d3.select('#detail-sheet-title')
+            .text([TimeFormat.formatOffset(tz.offsetString), this.getZoneTitle(tz)].filter(Boolean).join(' · '));
+
+        const content = d3.select('#detail-sheet-content');
+        content.html('');
+
+        const names = tz.cities.slice(0, 4).map(city => I18n.cityName(city)).concat(tz.names.filter(name => isNaN(parseFloat(name))).slice(0, 4));
+        if (names.length > 0) {
+            content.append('div')
+                .attr('class', 'location-header')
+                .text(names.slice(0, 4).join(', '));
+        }
+        content.append('div')
+            .attr('class', 'time-display')
+            .attr('id', 'sheet-time')
+            .text(this.getCurrentTimeFull(tz));
+        content.append('div').attr('class', 'time-info').text(
+            [this.getDateLabel(tz), this.getRelativeOffsetText(tz)].filter(Boolean).join(' · '));
+
+        const actions = content.append('div').attr('class', 'sheet-actions');
+        actions.append('button')
+            .attr('type', 'button')
+            .attr('class', 'sheet-pin')
+            .attr('aria-pressed', this.isPinned(tz))
+            .text('📌 ' + I18n.t(this.isPinned(tz) ? 'sheet.unpin' : 'sheet.pin'))
+            .on('click', () => {
+                this.togglePin(tz);
+                this.renderDetailSheet();
+            });
+        actions.append('a')
+            .attr('class', 'wiki-link')
+            .attr('href', this.getWikipediaUrl(tz.offset))
+            .attr('target', '_blank')
+            .attr('rel', 'noopener noreferrer')
+            .text(I18n.t('card.wikipedia'));
+
+        if (tz.places.length > 0) {
+            const sunSection = content.append('div').attr('class', 'cities-list');
+            sunSection.append('h3').text(I18n.t('sun.heading'));
+            this.renderSunInfo(tz, sunSection.append('div').attr('class', 'sun-info'));
+        }
+    }
+
     updateHighlights() {
         // Highlight timezone on map
         this.svg.selectAll('.timezone')
-            .classed('highlighted', d => d.offset === this.highlightedTz);
+            .classed('highlighted', d => d.key === this.highlightedTz);
+
+        // Fade zones without team members when the team filter is on
+        const teamKeys = this.teamFilter && this.team.length > 0 ? this.getTeamZoneKeys() : null;
+        this.svg.selectAll('.timezone, .timezone-pattern')
+            .classed('team-dimmed', d => teamKeys !== null && !teamKeys.has(d.key));
 
         // Highlight corresponding card
-        const highlightedOffset = this.highlightedTz;
+        const highlightedKey = this.highlightedTz;
         d3.selectAll('.timezone-card')
             .classed('highlighted', function() {
-                return parseFloat(this.dataset.offset) === highlightedOffset;
+                return this.dataset.key === highlightedKey;
             });
 
         // Highlight corresponding pinned callout
         d3.selectAll('.pinned-callout')
             .classed('highlighted', function() {
-                return parseFloat(this.dataset.offset) === highlightedOffset;
+                return this.dataset.key === highlightedKey;
             });
     }
 
     handleCardClick(tz) {
-        const card = d3.select('#timezone-grid .timezone-card[data-offset="' + tz.offset + '"]');
+        const card = d3.select('#timezone-grid .timezone-card[data-key="' + tz.key + '"]');
         const isExpanded = card.classed('expanded');
-        const isPinned = card.classed('pinned');
+        const isPinned = this.isPinned(tz);
 
         if (isExpanded) {
             card.classed('pinned', !isPinned);
+            // From here on the pins on screen are the user's own
+            this.savedPins = null;
             if (!isPinned) {
-                this.pinnedTimezones.add(tz.offset);
+                this.pinnedTimezones.add(tz.id);
             } else {
-                this.pinnedTimezones.delete(tz.offset);
+                // Drop every key that resolves to this group
+                Array.from(this.pinnedTimezones)
+                    .filter(key => this.matchesKey(tz, key))
+                    .forEach(key => this.pinnedTimezones.delete(key));
                 card.classed('expanded', false);
+                if (this.expandedTz !== null && this.matchesKey(tz, this.expandedTz)) {
+                    this.expandedTz = null;
+                }
             }
             this.renderPinnedCallouts();
         } else {
             d3.selectAll('#timezone-grid .timezone-card:not(.pinned)').classed('expanded', false);
             card.classed('expanded', true);
+            this.expandedTz = tz.id;
+        }
+        this.updateAriaLabels();
+        this.persistState();
+
+        if (this.converter && this.converter.open) {
+            this.setConverterSource(tz);
+        }
+    }
+
+    isExpanded(tz) {
+        return this.isPinned(tz) || (this.expandedTz !== null && this.matchesKey(tz, this.expandedTz));
+    }
+
+    // Pin an unpinned zone (expanding it first) or unpin a pinned one
+    togglePin(tz) {
+        if (!this.isPinned(tz) && !this.isExpanded(tz)) {
+            this.handleCardClick(tz);
+        }
+        this.handleCardClick(tz);
+    }
+
+    // Collapse an expanded card; pinned cards stay open until unpinned
+    collapseTimezone(tz) {
+        if (this.isPinned(tz) || this.expandedTz === null || !this.matchesKey(tz, this.expandedTz)) return;
+        this.expandedTz = null;
+        d3.select('#timezone-grid .timezone-card[data-key="' + tz.key + '"]').classed('expanded', false);
+        this.updateAriaLabels();
+        this.persistState();
+    }
+
+    // Keyboard control for map polygons ('map') and cards ('card'): ←/→ move
+    // west/east, Enter or Space expands, P pins, Escape collapses, T reads the time
+    handleTimezoneKeydown(event, tz, kind) {
+        // Leave keys pressed on links inside an expanded card alone
+        if (event.target !== event.currentTarget) return;
+
+        switch (event.key) {
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                // Cards are laid out in reading order, so right-to-left pages swap the arrows; the map is never mirrored
+                const step = event.key === 'ArrowRight' ? 1 : -1;
+                const mirrored = kind === 'card' && document.documentElement.dir === 'rtl';
+                const index = this.timezones.indexOf(tz);
+                const next = this.timezones[index + (mirrored ? -step : step)];
+                if (next) {
+                    this.focusTimezone(next, kind);
+                }
+                break;
+            }
+            case 'Enter':
+            case ' ':
+                if (!this.isExpanded(tz)) {
+                    this.handleCardClick(tz);
+                }
+                break;
+            case 'p':
+            case 'P':
+                this.togglePin(tz);
+                break;
+            case 'Escape':
+                this.collapseTimezone(tz);
+                break;
+            case 't':
+            case 'T':
+                this.announceTime(tz);
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    // Move keyboard focus to a zone's polygon or card
+    focusTimezone(tz, kind) {
+        const element = kind === 'map'
+            ? this.svg.selectAll('path.timezone').filter(d => d.key === tz.key).node()
+            : document.querySelector('#timezone-grid .timezone-card[data-key="' + tz.key + '"]');
+        if (element) {
+            element.focus();
+            if (kind === 'card') {
+                element.scrollIntoView({ block: 'nearest' });
+            }
+        }
+    }
+
+    handleTimezoneFocus(tz) {
+        this.focusKey = tz.key;
+        this.svg.selectAll('path.timezone').attr('tabindex', d => d.key === tz.key ? 0 : -1);
+        d3.selectAll('#timezone-grid .timezone-card').attr('tabindex', function() {
+            return this.dataset.key === tz.key ? 0 : -1;
+        });
+        this.handleTimezoneHover(tz);
+    }
+
+    // The zone that Tab lands on: the last one focused, else the westernmost
+    getFocusKey() {
+        const tz = this.timezones.find(t => t.key === this.focusKey) || this.timezones[0];
+        return tz ? tz.key : null;
+    }
+
+    // What a screen reader says for a polygon or card: offset, places, time and state
+    getAriaLabel(tz) {
+        const places = tz.cities.map(city => I18n.cityName(city)).concat(tz.names.filter(name => isNaN(parseFloat(name)))).slice(0, 3);
+        const parts = [tz.offsetString, this.getZoneTitle(tz), places.join(', '),
+            this.getCurrentTimeShort(tz), this.getDateLabel(tz)];
+        if (this.isPinned(tz)) {
+            parts.push(I18n.t('aria.pinned'));
         }
+        return parts.filter(Boolean).join(', ');
+    }
+
+    // Labels include the time, so they are refreshed once a minute and after pin changes
+    updateAriaLabels() {
+        this.svg.selectAll('path.timezone').attr('aria-label', d => this.getAriaLabel(d));
+        this.timezones.forEach(tz => {
+            d3.select('#timezone-grid .timezone-card[data-key="' + tz.key + '"]')
+                .attr('aria-label', this.getAriaLabel(tz))
+                .attr('aria-expanded', this.isExpanded(tz));
+        });
+    }
+
+    // Read a zone's current time through the live region; nothing is announced unprompted
+    announceTime(tz) {
+        const region = document.getElementById('live-region');
+        if (!region) return;
+
+        const place = tz.cities.length > 0 ? I18n.cityName(tz.cities[0]) : this.getZoneTitle(tz);
+        const date = this.getDateLabel(tz);
+        // Clear first so repeating the same announcement is still read out
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = `${place ? place + ', ' : ''}${tz.offsetString}: ${this.getCurrentTimeShort(tz)}${date ? ', ' + date : ''}`;
+        }, 50);
     }
 
-    setColorScheme(schemeFunction) {
-        this.colorScale = schemeFunction;
+    // Switch to a scheme from the ColorSchemes registry by key (e.g. 'rainbow').
+    // Pins and the expanded card survive because render() rebuilds from state.
+    setColorScheme(key) {
+        if (!ColorSchemes[key]) {
+            console.warn(`Unknown color scheme: ${key}`);
+            return;
+        }
+        this.colorSchemeKey = key;
+        this.updateColorScale();
         this.render();
+        this.renderSchemePicker();
+        this.persistState();
     }
 }
 
+// Theme Definitions
+// Colors the map sets inline from JS. CSS surfaces use the matching custom
+// properties in style.css; color schemes supply their own darkMode parameters.
+const Themes = {
+    light: {
+        countryFill: '#ffffff',
+        countryFillOpacity: 0.4,
+        borderStroke: '#333',
+        terminator: '#FFD700',
+        dateLine: '#c62828',
+        midnight: '#5e35b1',
+        nightFill: '#0b1a3a',
+        nightOpacity: 0.3,
+        twilightOpacity: 0.1, // Per band; bands stack so deeper night is darker
+        darkText: 'rgba(0,0,0,0.7)',
+        lightText: 'rgba(255,255,255,0.9)',
+        textLuminanceThreshold: 0.7
+    },
+    dark: {
+        countryFill: '#000000',
+        countryFillOpacity: 0.25,
+        borderStroke: '#ddd',
+        terminator: '#FFC94D',
+        dateLine: '#ff8a80',
+        midnight: '#b39ddb',
+        nightFill: '#000000',
+        nightOpacity: 0.4,
+        twilightOpacity: 0.14,
+        darkText: 'rgba(0,0,0,0.8)',
+        lightText: 'rgba(255,255,255,0.87)',
+        textLuminanceThreshold: 0.6
+    }
+};
+
+// International Date Line
+// Simplified path of the de facto line: it follows 180° but bends through the Bering
+// Strait, west of the Aleutians, east around Kiribati and between Samoa and
+// American Samoa, and east of Tonga and the Chatham Islands.
+const InternationalDateLine = {
+    type: 'LineString',
+    coordinates: [
+        [180, 90], [180, 75], [-169, 68], [-169, 65.5], [-169, 63], [172.5, 53], [180, 48],
+        [180, 5], [-149.5, 5], [-149.5, -11], [-171.5, -11], [-171.2, -13.5], [-171.2, -15],
+        [-172.5, -18], [-172.5, -45], [180, -51.2], [180, -90]
+    ]
+};
+
+// Map Projections
+// Each entry builds an unrotated d3 projection; TimeZoneMap.createProjection rotates
+// it to the chosen central meridian and fits it to the map. Robinson comes from
+// d3-geo-projection.
+const MapProjections = {
+    naturalEarth: { name: 'Natural Earth', create: () => d3.geoNaturalEarth1() },
+    equalEarth: { name: 'Equal Earth', create: () => d3.geoEqualEarth() },
+    robinson: { name: 'Robinson', create: () => d3.geoRobinson() },
+    mercator: { name: 'Mercator', create: () => d3.geoMercator(), maxLatitude: 80 },
+    orthographic: { name: 'Globe', create: () => d3.geoOrthographic(), globe: true }
+};
+
+// Time Format Preferences
+// How clocks, dates and offsets are displayed. Every view formats through these
+// helpers, so changing a preference changes cards, callouts, the sheet and the
+// planner together.
+const TimeFormat = {
+    preferences: {
+        hourCycle: 'auto',   // 'auto' follows the language; 'h12' or 'h23' force a clock
+        showSeconds: true,   // Seconds on detailed clocks: expanded cards, pinned callouts, detail sheet
+        showDate: false,     // Show the date even when it is the same as the viewer's
+        compactOffset: false // '+5:30' instead of 'UTC+5:30'
+    },
+
+    hourCycles: ['auto', 'h12', 'h23'],
+
+    // Merge saved or chosen preferences, ignoring unknown keys and invalid values
+    set(changes = {}) {
+        Object.keys(this.preferences).forEach(key => {
+            if (!(key in changes)) return;
+            const value = changes[key];
+            const valid = key === 'hourCycle' ? this.hourCycles.includes(value) : typeof value === 'boolean';
+            if (valid) {
+                this.preferences[key] = value;
+            }
+        });
+    },
+
+    // Intl options for a clock; seconds only when asked for and enabled
+    timeOptions({ seconds = false } = {}) {
+        const options = { hour: 'numeric', minute: '2-digit' };
+        if (seconds && this.preferences.showSeconds) {
+            options.second = '2-digit';
+        }
+        return this.withHourCycle(options);
+    },
+
+    // Apply the chosen hour cycle to Intl options that show the hour
+    withHourCycle(options) {
+        if (this.preferences.hourCycle === 'auto' || !('hour' in options)) return options;
+        return { ...options, hourCycle: this.preferences.hourCycle };
+    },
+
+    // Display form of an offset label such as 'UTC+5:30'
+    formatOffset(offsetString) {
+        if (!this.preferences.compactOffset) return offsetString;
+        const compact = offsetString.replace(/^UTC/, '');
+        return /^[+-]?0?$/.test(compact) ? '±0' : compact;
+    }
+};
+
+// Saved State
+// User preferences persisted in localStorage. The schema is versioned: when the
+// shape of saved state changes, bump `version` and add a migration that upgrades
+// state saved by the previous version, so nothing is silently dropped.
+const SavedState = {
+    storageKey: 'world-time-state',
+    version: 2,
+
+    // migrations[n] upgrades state saved with version n to version n + 1
+    migrations: {
+        // Version 2 added the per-zone mode; earlier users always grouped by offset
+        1: state => ({ ...state, groupBy: 'offset', version: 2 })
+    },
+
+    load() {
+        let state;
+        try {
+            state = JSON.parse(window.localStorage.getItem(this.storageKey));
+        } catch (e) {
+            console.warn('Ignoring unreadable saved state:', e);
+            return null;
+        }
+        if (!state || typeof state !== 'object') return null;
+
+        while ((state.version || 0) < this.version) {
+            const migrate = this.migrations[state.version || 0];
+            if (!migrate) {
+                console.warn(`No migration for saved state version ${state.version || 0}`);
+                return null;
+            }
+            state = migrate(state);
+        }
+        return state;
+    },
+
+    save(state) {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify({ ...state, version: this.version }));
+        } catch (e) {
+            // Storage can be full or disabled (private browsing); preferences just won't persist
+            console.warn('Could not save state:', e);
+        }
+    }
+};
+
+// App Clock
+// Single source of "now" for every time-dependent calculation. It is live by
+// default; time travel shifts it by a fixed amount and it keeps ticking from there.
+const Clock = {
+    offsetMs: 0,
+
+    now() {
+        return new Date(Date.now() + this.offsetMs);
+    },
+
+    // Shift the clock relative to real time
+    setOffset(offsetMs) {
+        this.offsetMs = offsetMs;
+    },
+
+    // Jump the clock to a specific instant
+    setTime(date) {
+        this.offsetMs = date.getTime() - Date.now();
+    },
+
+    reset() {
+        this.offsetMs = 0;
+    },
+
+    isLive() {
+        return this.offsetMs === 0;
+    }
+};
+
 // OKLCH Color Utilities
 const ColorUtils = {
     // Convert OKLCH to RGB using proper OKLab color space
@@ -775,12 +3792,18 @@ const ColorUtils = {
         return `rgb(${r}, ${g}, ${bl})`;
     },
 
-    // Get current hour in a timezone (0-23)
-    getHourInTimezone(offset) {
-        const now = new Date();
-        const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
-        const tzTime = new Date(utc + (offset * 3600000));
-        return tzTime.getHours();
+    // Get the hour (0-23) in a timezone at an instant (defaults to the app clock),
+    // DST-aware when the zone has an IANA name
+    getHourInTimezone(tz, date = Clock.now()) {
+        return TimeUtils.getTimezoneParts(tz, date).hour;
+    },
+
+    // Shade for the index-th of `count` zones sharing one color: lightness steps
+    // within ±8 (CIELAB L*) keep the zones readable as a single offset
+    shadeForZone(color, index, count) {
+        const lab = d3.lab(color);
+        lab.l += (index / (count - 1) - 0.5) * 16;
+        return d3.rgb(lab);
     },
 
     // Map hour to time of day category
@@ -797,13 +3820,16 @@ const ColorSchemes = {
     rainbow: {
         name: 'Rainbow Gradient (Current)',
         description: 'Continuous rainbow spectrum from west to east. Beautiful but adjacent colors are similar.',
-        generator: (timezones) => {
+        // Translucent fills need more opacity to show up against a dark page
+        darkMode: { opacity: 0.55 },
+        generator: (timezones, date, theme = 'light') => {
+            const opacity = theme === 'dark' ? ColorSchemes.rainbow.darkMode.opacity : 0.3;
             const scale = d3.scaleSequential()
                 .domain([d3.min(timezones, d => d.offset), d3.max(timezones, d => d.offset)])
                 .interpolator(d3.interpolateRainbow);
             return (offset) => {
                 const color = d3.color(scale(offset));
-                color.opacity = 0.3;
+                color.opacity = opacity;
                 return color;
             };
         }
@@ -812,9 +3838,13 @@ const ColorSchemes = {
     hueStepsLightnessWave: {
         name: 'Progressive Hue + Lightness Wave',
         description: 'Hue steps evenly through spectrum (~13° per zone), while lightness oscillates high/low. Adjacent zones differ in BOTH hue and lightness for maximum local contrast while maintaining global progression.',
-        generator: (timezones) => {
+        darkMode: { baseL: 0.52, amplitude: 0.12 }, // Range: 0.40 to 0.64
+        generator: (timezones, date, theme = 'light') => {
             const sorted = [...timezones].sort((a, b) => a.offset - b.offset);
             const colorMap = new Map();
+            const { baseL, amplitude } = theme === 'dark'
+                ? ColorSchemes.hueStepsLightnessWave.darkMode
+                : { baseL: 0.68, amplitude: 0.15 };
 
             sorted.forEach((tz, i) => {
                 // Hue: step through full spectrum
@@ -823,7 +3853,7 @@ const ColorSchemes = {
                 // Lightness: oscillate between light and dark
                 // Creates a wave pattern: light, dark, light, dark...
                 const lightnessWave = Math.sin((i / sorted.length) * Math.PI * 6); // 6 full waves
-                const lightness = 0.68 + lightnessWave * 0.15; // Range: 0.53 to 0.83
+                const lightness = baseL + lightnessWave * amplitude; // Light theme range: 0.53 to 0.83
 
                 // Moderate chroma for balanced saturation
                 const chroma = 0.15;
@@ -838,9 +3868,12 @@ const ColorSchemes = {
     discreteHueFamilies: {
         name: 'Discrete Hue Families (Reference Style)',
         description: 'Groups zones into 7 color families (purple, pink, orange, yellow, green, teal, blue). Within each family, lightness varies from dark to light. Enables semantic descriptions like "the lightest yellow one".',
-        generator: (timezones) => {
+        // Every family's base lightness is shifted down in dark mode
+        darkMode: { lightnessShift: -0.18 },
+        generator: (timezones, date, theme = 'light') => {
             const sorted = [...timezones].sort((a, b) => a.offset - b.offset);
             const colorMap = new Map();
+            const lightnessShift = theme === 'dark' ? ColorSchemes.discreteHueFamilies.darkMode.lightnessShift : 0;
 
             // Define 7 color families with base hue and chroma
             // Based on reference timezone map
@@ -864,7 +3897,7 @@ const ColorSchemes = {
 
                     // Vary lightness within family: darkest first, lightest last
                     const t = zonesInFamily > 1 ? i / (zonesInFamily - 1) : 0.5;
-                    const lightness = family.baseL - 0.15 + (t * 0.30); // Range of 0.30 in lightness
+                    const lightness = family.baseL + lightnessShift - 0.15 + (t * 0.30); // Range of 0.30 in lightness
 
                     // Slight hue variation within family for extra distinction
                     const hueOffset = (t - 0.5) * 15; // ±7.5 degrees
@@ -882,7 +3915,11 @@ const ColorSchemes = {
     timeBlocks4Hour: {
         name: 'Time Blocks (4-Hour, High Saturation)',
         description: 'Groups by current time in 4-hour blocks: 0-3am=dark blue, 4-7am=brown, 8-11am=red/pink, 12-3pm=orange, 4-7pm=yellow, 8-11pm=green. High saturation for bold colors.',
-        generator: (timezones) => {
+        // Per-block base lightness for dark backgrounds; keeps the sky progression but dimmer
+        darkMode: {
+            baseL: { midnight: 0.30, earlyMorning: 0.48, morning: 0.55, afternoon: 0.68, evening: 0.52, night: 0.42 }
+        },
+        generator: (timezones, date = Clock.now(), theme = 'light') => {
             const colorMap = new Map();
 
             // Group timezones by their current 4-hour time block
@@ -896,7 +3933,7 @@ const ColorSchemes = {
             };
 
             timezones.forEach(tz => {
-                const hour = ColorUtils.getHourInTimezone(tz.offset);
+                const hour = ColorUtils.getHourInTimezone(tz, date);
                 if (hour >= 0 && hour < 4) blocks.midnight.push(tz);
                 else if (hour >= 4 && hour < 8) blocks.earlyMorning.push(tz);
                 else if (hour >= 8 && hour < 12) blocks.morning.push(tz);
@@ -921,11 +3958,12 @@ const ColorSchemes = {
             // Assign colors within each block
             Object.entries(blocks).forEach(([blockName, tzList]) => {
                 const params = blockColors[blockName];
+                const baseL = theme === 'dark' ? ColorSchemes.timeBlocks4Hour.darkMode.baseL[blockName] : params.baseL;
                 tzList.forEach((tz, i) => {
                     const t = tzList.length > 1 ? i / (tzList.length - 1) : 0.5;
 
                     // Vary lightness within block
-                    const lightness = params.baseL - 0.12 + (t * 0.24);
+                    const lightness = baseL - 0.12 + (t * 0.24);
 
                     // Vary hue slightly for distinction
                     const hueOffset = (t - 0.5) * 25; // ±12.5 degrees
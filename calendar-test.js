@@ -0,0 +1,202 @@
+// Unit tests for calendar.js: .ics output and reading it back
+const assert = require('assert');
+const ICalendar = require('./calendar.js');
+
+let failures = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}\n  ${error.message}`);
+    }
+}
+
+// Unfolded content lines of .ics text
+function contentLines(text) {
+    return text.replace(/\r\n[ \t]/g, '').split('\r\n').filter(Boolean);
+}
+
+// A VCALENDAR around the given content lines
+function calendar(...lines) {
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+}
+
+// ISO start times of the first `limit` occurrences of each event from `from`
+function starts(text, from, limit = 10) {
+    return ICalendar.getOccurrences(ICalendar.parse(text), new Date(from), limit).map(o => o.start.toISOString());
+}
+
+// Windows-style zone that only the file's VTIMEZONE defines, with rules from 1601
+const outlookZone = [
+    'BEGIN:VTIMEZONE', 'TZID:W. Europe Standard Time',
+    'BEGIN:STANDARD', 'DTSTART:16010101T030000', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100',
+    'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=10', 'END:STANDARD',
+    'BEGIN:DAYLIGHT', 'DTSTART:16010101T020000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200',
+    'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=3', 'END:DAYLIGHT',
+    'END:VTIMEZONE'
+];
+
+const meeting = {
+    uid: 'test-1@example.com',
+    summary: 'Planning; Q3, budget',
+    description: 'Berlin 15:00\nTokyo 22:00',
+    start: new Date('2026-10-20T13:00Z'),
+    end: new Date('2026-10-20T14:00Z'),
+    zone: 'Europe/Berlin',
+    stamp: new Date('2026-10-19T08:00Z')
+};
+
+console.log('Testing iCalendar output and input...\n');
+
+test('escapeText escapes separators and newlines', () => {
+    assert.strictEqual(ICalendar.escapeText('a;b,c\\d\ne'), 'a\\;b\\,c\\\\d\\ne');
+    assert.strictEqual(ICalendar.unescapeText('a\\;b\\,c\\\\d\\ne'), 'a;b,c\\d\ne');
+});
+
+test('foldLine keeps every line within 75 octets without splitting characters', () => {
+    const line = 'SUMMARY:' + 'Zeitzonen-Übersicht für 東京 '.repeat(6);
+    const folded = ICalendar.foldLine(line).split('\r\n');
+    assert.ok(folded.length > 1);
+    folded.forEach(part => assert.ok(Buffer.byteLength(part) <= 75, `${Buffer.byteLength(part)} octets`));
+    assert.strictEqual(folded.map((part, i) => i === 0 ? part : part.slice(1)).join(''), line);
+});
+
+test('writeTimezone lists the DST changes around the event', () => {
+    const lines = ICalendar.writeTimezone('Europe/Berlin', new Date('2026-10-20T13:00Z'));
+    assert.strictEqual(lines[1], 'TZID:Europe/Berlin');
+    assert.ok(lines.includes('DTSTART:20260329T020000'), 'start of CEST 2026');
+    assert.ok(lines.includes('DTSTART:20261025T030000'), 'end of CEST 2026');
+    assert.strictEqual(lines.filter(line => line === 'BEGIN:DAYLIGHT').length, 2);
+    assert.strictEqual(lines.filter(line => line === 'BEGIN:STANDARD').length, 2);
+    assert.ok(lines.includes('TZOFFSETFROM:+0100') && lines.includes('TZOFFSETTO:+0200'));
+});
+
+test('writeTimezone gives zones without DST a single fixed offset', () => {
+    const lines = ICalendar.writeTimezone('Asia/Kolkata', new Date('2026-10-20T13:00Z'));
+    assert.deepStrictEqual(lines.slice(2, -1),
+        ['BEGIN:STANDARD', 'DTSTART:19700101T000000', 'TZOFFSETFROM:+0530', 'TZOFFSETTO:+0530', 'END:STANDARD']);
+});
+
+test('createEvent writes wall times with a TZID and CRLF line endings', () => {
+    const text = ICalendar.createEvent(meeting);
+    assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(!/[^\r]\n/.test(text), 'bare LF');
+    const lines = contentLines(text);
+    assert.ok(lines.includes('DTSTART;TZID=Europe/Berlin:20261020T150000'));
+    assert.ok(lines.includes('DTEND;TZID=Europe/Berlin:20261020T160000'));
+    assert.ok(lines.includes('SUMMARY:Planning\\; Q3\\, budget'));
+    assert.ok(lines.includes('DESCRIPTION:Berlin 15:00\\nTokyo 22:00'));
+});
+
+test('createEvent writes UTC times without a VTIMEZONE', () => {
+    const lines = contentLines(ICalendar.createEvent({ ...meeting, zone: 'UTC' }));
+    assert.ok(lines.includes('DTSTART:20261020T130000Z'));
+    assert.ok(!lines.includes('BEGIN:VTIMEZONE'));
+});
+
+test('an exported event reads back with the same instants and text', () => {
+    const calendar = ICalendar.parse(ICalendar.createEvent(meeting));
+    assert.strictEqual(calendar.events.length, 1);
+    assert.strictEqual(calendar.timezones.get('Europe/Berlin').length, 4);
+
+    const [occurrence] = ICalendar.getOccurrences(calendar, new Date('2026-10-19T00:00Z'), 5);
+    assert.strictEqual(occurrence.summary, meeting.summary);
+    assert.strictEqual(occurrence.start.toISOString(), meeting.start.toISOString());
+    assert.strictEqual(occurrence.end.toISOString(), meeting.end.toISOString());
+    assert.strictEqual(calendar.events[0].uid, meeting.uid);
+});
+
+test('parseLine keeps quoted colons and semicolons in parameters', () => {
+    const property = ICalendar.parseLine('DTSTART;TZID="GMT+01:00; Amsterdam":20261020T150000');
+    assert.strictEqual(property.name, 'DTSTART');
+    assert.strictEqual(property.params.TZID, 'GMT+01:00; Amsterdam');
+    assert.strictEqual(property.value, '20261020T150000');
+});
+
+test('BYDAY ordinals pick the nth or last weekday of the month', () => {
+    const text = calendar('BEGIN:VEVENT', 'UID:a', 'DTSTART:20260101T150000Z', 'DURATION:PT1H',
+        'RRULE:FREQ=MONTHLY;BYDAY=-1FR,2TU;COUNT=5', 'END:VEVENT');
+    assert.deepStrictEqual(starts(text, '2026-01-01T00:00Z'), [
+        '2026-01-13T15:00:00.000Z', '2026-01-30T15:00:00.000Z', '2026-02-10T15:00:00.000Z',
+        '2026-02-27T15:00:00.000Z', '2026-03-10T15:00:00.000Z'
+    ]);
+});
+
+test('EXDATE removes occurrences and UNTIL ends the series', () => {
+    const text = calendar('BEGIN:VEVENT', 'UID:b', 'DTSTART;TZID=Europe/Berlin:20261019T090000', 'DTEND;TZID=Europe/Berlin:20261019T093000',
+        'RRULE:FREQ=DAILY;UNTIL=20261023T070000Z', 'EXDATE;TZID=Europe/Berlin:20261020T090000,20261021T090000', 'END:VEVENT');
+    assert.deepStrictEqual(starts(text, '2026-10-01T00:00Z'), [
+        '2026-10-19T07:00:00.000Z', '2026-10-22T07:00:00.000Z', '2026-10-23T07:00:00.000Z'
+    ]);
+});
+
+test('RECURRENCE-ID overrides replace the occurrence they move', () => {
+    const text = calendar(
+        'BEGIN:VEVENT', 'UID:c', 'DTSTART:20261019T100000Z', 'DTEND:20261019T110000Z', 'RRULE:FREQ=WEEKLY;COUNT=3', 'SUMMARY:Weekly', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:c', 'RECURRENCE-ID:20261026T100000Z', 'DTSTART:20261027T140000Z', 'DTEND:20261027T150000Z', 'SUMMARY:Moved', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:d', 'DTSTART:20261020T100000Z', 'STATUS:CANCELLED', 'END:VEVENT');
+    const occurrences = ICalendar.getOccurrences(ICalendar.parse(text), new Date('2026-10-01T00:00Z'), 10);
+    assert.deepStrictEqual(occurrences.map(o => `${o.summary} ${o.start.toISOString()}`), [
+        'Weekly 2026-10-19T10:00:00.000Z', 'Moved 2026-10-27T14:00:00.000Z', 'Weekly 2026-11-02T10:00:00.000Z'
+    ]);
+});
+
+test('all-day events start at local midnight and last a day by default', () => {
+    const text = calendar('BEGIN:VEVENT', 'UID:e', 'DTSTART;VALUE=DATE:20261225', 'SUMMARY:Holiday', 'END:VEVENT');
+    const [occurrence] = ICalendar.getOccurrences(ICalendar.parse(text), new Date('2026-10-01T00:00Z'), 5);
+    assert.strictEqual(occurrence.allDay, true);
+    assert.deepStrictEqual([occurrence.start.getFullYear(), occurrence.start.getMonth(), occurrence.start.getDate(), occurrence.start.getHours()],
+        [2026, 11, 25, 0]);
+    assert.strictEqual(occurrence.end.getDate(), 26);
+});
+
+test('TZIDs known only from the file\'s VTIMEZONE follow its DST rules', () => {
+    const text = calendar(...outlookZone,
+        'BEGIN:VEVENT', 'UID:f', 'DTSTART;TZID=W. Europe Standard Time:20261023T090000',
+        'DTEND;TZID=W. Europe Standard Time:20261023T100000', 'RRULE:FREQ=WEEKLY;COUNT=2', 'END:VEVENT');
+    // CEST (+2) before 25 October 2026, CET (+1) after
+    assert.deepStrictEqual(starts(text, '2026-10-01T00:00Z'), ['2026-10-23T07:00:00.000Z', '2026-10-30T08:00:00.000Z']);
+});
+
+test('past one-off events in a large calendar are skipped quickly', () => {
+    const events = [];
+    for (let i = 0; i < 200; i++) {
+        const date = new Date(Date.UTC(2024, 0, 1) + i * 5 * 86400000).toISOString().slice(0, 10).replace(/-/g, '');
+        events.push('BEGIN:VEVENT', `UID:g${i}`, `DTSTART;TZID=W. Europe Standard Time:${date}T100000`,
+            `DTEND;TZID=W. Europe Standard Time:${date}T110000`, 'END:VEVENT');
+    }
+    const parsed = ICalendar.parse(calendar(...outlookZone, ...events));
+    const started = Date.now();
+    const occurrences = ICalendar.getOccurrences(parsed, new Date('2026-09-01T00:00Z'), 5);
+    assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+    // The last events fall on 2, 7, 12, 17 and 22 September 2026, in CEST
+    assert.deepStrictEqual(occurrences.map(o => o.start.toISOString().slice(0, 13)),
+        ['2026-09-02T08', '2026-09-07T08', '2026-09-12T08', '2026-09-17T08', '2026-09-22T08']);
+    assert.strictEqual(ICalendar.getOccurrences(parsed, new Date('2026-10-01T00:00Z'), 5).length, 0);
+});
+
+test('long series with a UTC UNTIL are expanded quickly and end at UNTIL', () => {
+    const events = [];
+    for (let i = 0; i < 20; i++) {
+        events.push('BEGIN:VEVENT', `UID:h${i}`, `DTSTART;TZID=Europe/Berlin:20100104T0${i % 10}0000`,
+            `DTEND;TZID=Europe/Berlin:20100104T0${i % 10}3000`, 'RRULE:FREQ=DAILY;UNTIL=20300101T000000Z', `SUMMARY:S${i}`, 'END:VEVENT');
+    }
+    const parsed = ICalendar.parse(calendar(...events));
+    const started = Date.now();
+    const occurrences = ICalendar.getOccurrences(parsed, new Date('2026-10-19T00:00Z'), 5);
+    assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+    assert.strictEqual(occurrences.length, 100);
+
+    // 09:00 CET on 1 January 2030 is 08:00 UTC, after UNTIL; 31 December 2029 is the last
+    const last = ICalendar.getOccurrences(parsed, new Date('2029-12-30T00:00Z'), 5).filter(o => o.summary === 'S9');
+    assert.deepStrictEqual(last.map(o => o.start.toISOString()), ['2029-12-30T08:00:00.000Z', '2029-12-31T08:00:00.000Z']);
+});
+
+if (failures > 0) {
+    console.error(`\n${failures} test(s) failed`);
+    process.exit(1);
+}
+console.log('\n✓ All iCalendar tests passed!');
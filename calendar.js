@@ -0,0 +1,527 @@
+// iCalendar (RFC 5545)
+// Output: events carry a TZID with a VTIMEZONE built from the runtime's zone data,
+// so calendar apps keep the wall time across DST changes. Input: VEVENTs with
+// RRULE, EXDATE and RECURRENCE-ID, expanded to upcoming occurrences. Uses TimeUtils;
+// works in the browser (global ICalendar) and in Node.
+
+// In Node, load what the page provides as globals
+if (typeof require !== 'undefined' && typeof TimeUtils === 'undefined') {
+    global.TimeUtils = require('./time-utils.js');
+}
+
+const ICalendar = {
+    // Escape TEXT values: backslash, semicolon, comma and newlines
+    escapeText(text) {
+        return String(text).replace(/[\\;,]/g, match => '\\' + match).replace(/\r?\n/g, '\\n');
+    },
+
+    // Split content lines longer than 75 octets; continuation lines start with a space
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const lines = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (octets + size > 75) {
+                lines.push(current);
+                current = ' ';
+                octets = 1;
+            }
+            current += char;
+            octets += size;
+        }
+        lines.push(current);
+        return lines.join('\r\n');
+    },
+
+    // 20261019T150000 from wall-clock fields
+    formatLocal(parts) {
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(parts.year, 4)}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second || 0)}`;
+    },
+
+    // 20261019T150000Z
+    formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    // +0530 from hours
+    formatOffset(hours) {
+        const minutes = Math.round(Math.abs(hours) * 60);
+        return (hours < 0 ? '-' : '+') + String(Math.floor(minutes / 60)).padStart(2, '0') + String(minutes % 60).padStart(2, '0');
+    },
+
+    // Offset changes of a zone between two instants: [{ instant, from, to }].
+    // Samples daily, then narrows each change down to the minute.
+    getTransitions(zone, from, to) {
+        const day = 86400000;
+        const offsetAt = time => TimeUtils.getOffsetAtInstant(zone, new Date(time));
+        const transitions = [];
+        let previous = offsetAt(from.getTime());
+        for (let time = from.getTime() + day; time <= to.getTime() + day; time += day) {
+            const offset = offsetAt(time);
+            if (offset === previous) continue;
+
+            let low = time - day;
+            let high = time;
+            while (high - low > 60000) {
+                const middle = low + Math.floor((high - low) / 120000) * 60000;
+                if (offsetAt(middle) === previous) low = middle;
+                else high = middle;
+            }
+            transitions.push({ instant: new Date(high), from: previous, to: offset });
+            previous = offset;
+        }
+        return transitions;
+    },
+
+    // VTIMEZONE with every observance from the start of the year before `date`
+    // to the end of its year, or a single fixed offset for zones without changes
+    writeTimezone(zone, date) {
+        const year = date.getUTCFullYear();
+        const transitions = this.getTransitions(zone, new Date(Date.UTC(year - 1, 0, 1)), new Date(Date.UTC(year + 1, 0, 1)));
+        const lines = ['BEGIN:VTIMEZONE', `TZID:${zone}`];
+
+        if (transitions.length === 0) {
+            const offset = this.formatOffset(TimeUtils.getOffsetAtInstant(zone, date));
+            lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+        } else {
+            const standard = Math.min(...transitions.map(t => Math.min(t.from, t.to)));
+            transitions.forEach(({ instant, from, to }) => {
+                const type = to > standard ? 'DAYLIGHT' : 'STANDARD';
+                // Observances start at the wall time before the change
+                const local = TimeUtils.getZonedParts(new Date(instant.getTime() - 60000), zone);
+                const start = new Date(Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) + 60000);
+                lines.push(`BEGIN:${type}`,
+                    `DTSTART:${this.formatUtc(start).slice(0, -1)}`,
+                    `TZOFFSETFROM:${this.formatOffset(from)}`,
+                    `TZOFFSETTO:${this.formatOffset(to)}`,
+                    `END:${type}`);
+            });
+        }
+
+        lines.push('END:VTIMEZONE');
+        return lines;
+    },
+
+    // A VCALENDAR with one VEVENT. start/end are instants, written as wall time in `zone`.
+    createEvent({ uid, summary, description, start, end, zone, stamp }) {
+        const wallTime = date => zone === 'UTC'
+            ? `:${this.formatUtc(date)}`
+            : `;TZID=${zone}:${this.formatLocal(TimeUtils.getZonedParts(date, zone))}`;
+
+        const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//World Time Zone Map//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH']
+            .concat(zone === 'UTC' ? [] : this.writeTimezone(zone, start))
+            .concat([
+                'BEGIN:VEVENT',
+                `UID:${uid}`,
+                `DTSTAMP:${this.formatUtc(stamp)}`,
+                `DTSTART${wallTime(start)}`,
+                `DTEND${wallTime(end)}`,
+                `SUMMARY:${this.escapeText(summary)}`
+            ])
+            .concat(description ? [`DESCRIPTION:${this.escapeText(description)}`] : [])
+            .concat(['END:VEVENT', 'END:VCALENDAR']);
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    },
+
+    weekdays: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'],
+
+    // Parse .ics text into { events, timezones }. Times keep their wall-clock fields
+    // and TZID until getOccurrences turns them into instants.
+    parse(text) {
+        const root = { name: 'ROOT', properties: [], components: [] };
+        const stack = [root];
+        text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n').forEach(line => {
+            const property = this.parseLine(line);
+            if (!property) return;
+            const current = stack[stack.length - 1];
+            if (property.name === 'BEGIN') {
+                const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+                current.components.push(component);
+                stack.push(component);
+            } else if (property.name === 'END') {
+                if (stack.length > 1) stack.pop();
+            } else {
+                current.properties.push(property);
+            }
+        });
+
+        const calendars = root.components.filter(component => component.name === 'VCALENDAR');
+        if (calendars.length === 0) {
+            throw new Error('No VCALENDAR found');
+        }
+        const components = calendars.flatMap(calendar => calendar.components);
+
+        // Observances of each VTIMEZONE, used for TZIDs the runtime does not know
+        const timezones = new Map();
+        components.filter(component => component.name === 'VTIMEZONE').forEach(component => {
+            const observances = component.components
+                .filter(observance => observance.name === 'STANDARD' || observance.name === 'DAYLIGHT')
+                .map(observance => ({
+                    start: this.parseDateValue(this.getProperty(observance, 'DTSTART')),
+                    offsetFrom: this.parseUtcOffset(this.getValue(observance, 'TZOFFSETFROM')),
+                    offsetTo: this.parseUtcOffset(this.getValue(observance, 'TZOFFSETTO')),
+                    rule: this.parseRule(this.getValue(observance, 'RRULE'))
+                }))
+                .filter(observance => observance.start && observance.offsetTo !== null);
+            timezones.set(this.getValue(component, 'TZID'), observances);
+        });
+
+        const events = components
+            .filter(component => component.name === 'VEVENT')
+            .filter(component => (this.getValue(component, 'STATUS') || '').toUpperCase() !== 'CANCELLED')
+            .map(component => this.parseEvent(component))
+            .filter(Boolean);
+
+        return { events, timezones };
+    },
+
+    // "DTSTART;TZID=\"Europe/Berlin\":20261020T150000" -> { name, params, value }
+    parseLine(line) {
+        let quoted = false;
+        let colon = -1;
+        for (let i = 0; i < line.length && colon < 0; i++) {
+            if (line[i] === '"') quoted = !quoted;
+            else if (line[i] === ':' && !quoted) colon = i;
+        }
+        if (colon <= 0) return null;
+
+        const [name, ...params] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g);
+        return {
+            name: name.toUpperCase(),
+            params: Object.fromEntries(params.map(param => {
+                const equals = param.indexOf('=');
+                return [param.slice(0, equals).toUpperCase(), param.slice(equals + 1).replace(/^"|"$/g, '')];
+            })),
+            value: line.slice(colon + 1)
+        };
+    },
+
+    getProperty(component, name) {
+        return component.properties.find(property => property.name === name) || null;
+    },
+
+    getValue(component, name) {
+        const property = this.getProperty(component, name);
+        return property ? property.value : null;
+    },
+
+    unescapeText(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => char === 'n' || char === 'N' ? '\n' : char);
+    },
+
+    // DATE or DATE-TIME property -> { parts, allDay, utc, tzid }, or null
+    parseDateValue(property, value = property && property.value) {
+        if (!property) return null;
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+        if (!match) return null;
+        const [, year, month, day, hour, minute, second, utc] = match;
+        return {
+            parts: {
+                year: Number(year),
+                month: Number(month),
+                day: Number(day),
+                hour: Number(hour || 0),
+                minute: Number(minute || 0),
+                second: Number(second || 0)
+            },
+            allDay: hour === undefined,
+            utc: Boolean(utc),
+            tzid: property.params.TZID || null
+        };
+    },
+
+    // "+0530" -> 5.5
+    parseUtcOffset(text) {
+        const match = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec((text || '').trim());
+        if (!match) return null;
+        return (match[1] === '-' ? -1 : 1) * (Number(match[2]) + Number(match[3]) / 60);
+    },
+
+    // "P1DT2H30M" or "-PT15M" -> milliseconds
+    parseDuration(text) {
+        const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec((text || '').trim());
+        if (!match) return null;
+        const [, sign, weeks, days, hours, minutes, seconds] = match.map(value => value === undefined ? 0 : value);
+        const ms = ((Number(weeks) * 7 + Number(days)) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+        return sign === '-' ? -ms : ms;
+    },
+
+    // "FREQ=MONTHLY;BYDAY=-1FR;COUNT=6" -> { freq, interval, count, until, byDay, byMonthDay, byMonth, bySetPos, weekStart }
+    parseRule(text) {
+        if (!text) return null;
+        const fields = Object.fromEntries(text.split(';').map(field => {
+            const [key, value = ''] = field.split('=');
+            return [key.trim().toUpperCase(), value.trim().toUpperCase()];
+        }));
+        if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(fields.FREQ)) return null;
+
+        const numbers = value => value ? value.split(',').map(Number).filter(n => Number.isInteger(n) && n !== 0) : [];
+        return {
+            freq: fields.FREQ,
+            interval: Math.max(1, Number(fields.INTERVAL) || 1),
+            count: fields.COUNT ? Number(fields.COUNT) : null,
+            until: fields.UNTIL ? this.parseDateValue({ params: {} }, fields.UNTIL) : null,
+            byDay: fields.BYDAY ? fields.BYDAY.split(',').map(day => {
+                const match = /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day);
+                return match && { weekday: this.weekdays.indexOf(match[2]), ordinal: Number(match[1] || 0) };
+            }).filter(Boolean) : [],
+            byMonthDay: numbers(fields.BYMONTHDAY),
+            byMonth: numbers(fields.BYMONTH),
+            bySetPos: numbers(fields.BYSETPOS),
+            weekStart: fields.WKST ? Math.max(0, this.weekdays.indexOf(fields.WKST)) : 1
+        };
+    },
+
+    parseEvent(component) {
+        const start = this.parseDateValue(this.getProperty(component, 'DTSTART'));
+        if (!start) return null;
+
+        const end = this.parseDateValue(this.getProperty(component, 'DTEND'));
+        const duration = this.parseDuration(this.getValue(component, 'DURATION'));
+        const dates = name => component.properties
+            .filter(property => property.name === name)
+            .flatMap(property => property.value.split(',').map(value => this.parseDateValue(property, value)))
+            .filter(Boolean);
+        const summary = this.getValue(component, 'SUMMARY');
+        const location = this.getValue(component, 'LOCATION');
+
+        return {
+            uid: this.getValue(component, 'UID') || null,
+            summary: summary ? this.unescapeText(summary) : '',
+            location: location ? this.unescapeText(location) : '',
+            start,
+            end,
+            // All-day events without an end last one day
+            duration: duration !== null ? duration : (start.allDay && !end ? 86400000 : 0),
+            rule: this.parseRule(this.getValue(component, 'RRULE')),
+            exceptions: dates('EXDATE'),
+            recurrenceId: this.parseDateValue(this.getProperty(component, 'RECURRENCE-ID'))
+        };
+    },
+
+    // Wall-clock fields <-> milliseconds on a zone-less timeline, for calendar arithmetic
+    toWallTime(parts) {
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    },
+
+    fromWallTime(time) {
+        const date = new Date(time);
+        return {
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            hour: date.getUTCHours(),
+            minute: date.getUTCMinutes(),
+            second: date.getUTCSeconds()
+        };
+    },
+
+    // An IANA zone for a TZID, including prefixed ones like "/mozilla.org/20070129_1/Europe/Berlin"
+    findZone(tzid) {
+        const segments = tzid.split('/').filter(Boolean);
+        for (let i = 0; i < segments.length; i++) {
+            const candidate = segments.slice(i).join('/');
+            if (TimeUtils.isValidTimeZone(candidate)) return candidate;
+        }
+        return null;
+    },
+
+    // Function from wall-clock fields of a date value to an instant: UTC, an IANA zone,
+    // the file's own VTIMEZONE, or floating (the browser's zone) for dates and unknown zones
+    getInstantResolver(value, timezones) {
+        const floating = parts => new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        if (value.utc) return parts => new Date(this.toWallTime(parts));
+        if (value.allDay || !value.tzid) return floating;
+
+        const zone = this.findZone(value.tzid);
+        if (zone) return parts => new Date(TimeUtils.getTimezoneInstant({ zone }, parts).getTime() + parts.second * 1000);
+
+        const observances = timezones.get(value.tzid);
+        if (observances && observances.length > 0) {
+            return parts => new Date(this.toWallTime(parts) - this.getObservedOffset(observances, parts) * 3600000);
+        }
+        return floating;
+    },
+
+    // Onsets already expanded for each VTIMEZONE observance, see getOnsets
+    onsetCache: new WeakMap(),
+
+    // Wall times at which an observance takes effect, up to the first one after `time`.
+    // Rules often start in 1601, so each observance is expanded once and then extended.
+    getOnsets(observance, time) {
+        let cache = this.onsetCache.get(observance);
+        if (!cache) {
+            cache = { times: [], pending: this.expandRule(observance.start.parts, observance.rule) };
+            this.onsetCache.set(observance, cache);
+        }
+        while (cache.pending && (cache.times.length === 0 || cache.times[cache.times.length - 1] <= time)) {
+            const next = cache.pending.next();
+            if (next.done) cache.pending = null;
+            else cache.times.push(next.value);
+        }
+        return cache.times;
+    },
+
+    // UTC offset (hours) a VTIMEZONE gives a wall time: that of the observance with
+    // the latest onset at or before it
+    getObservedOffset(observances, parts) {
+        const time = this.toWallTime(parts);
+        let latest = null;
+        observances.forEach(observance => {
+            const onsets = this.getOnsets(observance, time);
+            let index = onsets.length - 1;
+            while (index >= 0 && onsets[index] > time) index--;
+            const onset = index >= 0 ? onsets[index] : null;
+            if (onset !== null && (!latest || onset > latest.onset)) {
+                latest = { onset, offset: observance.offsetTo };
+            }
+        });
+        if (latest) return latest.offset;
+
+        // Before every onset: the earliest observance's previous offset
+        const earliest = observances.reduce((a, b) => this.toWallTime(a.start.parts) <= this.toWallTime(b.start.parts) ? a : b);
+        return earliest.offsetFrom !== null ? earliest.offsetFrom : earliest.offsetTo;
+    },
+
+    // Wall times (zone-less milliseconds) of a recurrence, starting with DTSTART.
+    // Supports FREQ DAILY to YEARLY with INTERVAL, COUNT, UNTIL, BYDAY (with ordinals),
+    // BYMONTHDAY, BYMONTH and BYSETPOS; YEARLY BYDAY without BYMONTH applies to the
+    // start month. Without a rule, yields DTSTART only.
+    *expandRule(startParts, rule, isPastUntil = () => false) {
+        const start = this.toWallTime(startParts);
+        if (!rule) {
+            yield start;
+            return;
+        }
+
+        const day = 86400000;
+        const timeOfDay = (start % day + day) % day; // Onsets like 16010101T020000 are before 1970
+        const startDay = start - timeOfDay;
+        const weekday = time => new Date(time).getUTCDay();
+        const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+        // Days of a month picked by BYMONTHDAY / BYDAY, else the start's day of the month
+        const monthDays = (year, month) => {
+            const length = daysInMonth(year, month);
+            const dates = Array.from({ length }, (_, i) => Date.UTC(year, month - 1, i + 1));
+            let picked;
+            if (rule.byMonthDay.length > 0) {
+                const days = rule.byMonthDay.map(d => d > 0 ? d : length + d + 1);
+                picked = dates.filter((date, i) => days.includes(i + 1));
+            } else if (rule.byDay.length === 0) {
+                picked = dates.filter((date, i) => i + 1 === startParts.day);
+            } else {
+                picked = dates;
+            }
+            if (rule.byDay.length > 0) {
+                picked = picked.filter(date => rule.byDay.some(({ weekday: wd, ordinal }) => {
+                    if (weekday(date) !== wd) return false;
+                    if (ordinal === 0) return true;
+                    const sameWeekday = dates.filter(d => weekday(d) === wd);
+                    const index = ordinal > 0 ? ordinal - 1 : sameWeekday.length + ordinal;
+                    return sameWeekday[index] === date;
+                }));
+            }
+            return picked;
+        };
+
+        const periodDays = period => {
+            const { year, month } = startParts;
+            if (rule.freq === 'DAILY') {
+                return [startDay + period * rule.interval * day];
+            }
+            if (rule.freq === 'WEEKLY') {
+                const weekStart = startDay - ((weekday(startDay) - rule.weekStart + 7) % 7) * day + period * rule.interval * 7 * day;
+                const weekdays = rule.byDay.length > 0 ? rule.byDay.map(d => d.weekday) : [weekday(startDay)];
+                return Array.from({ length: 7 }, (_, i) => weekStart + i * day).filter(date => weekdays.includes(weekday(date)));
+            }
+            if (rule.freq === 'MONTHLY') {
+                const index = (month - 1) + period * rule.interval;
+                return monthDays(year + Math.floor(index / 12), index % 12 + 1);
+            }
+            const months = rule.byMonth.length > 0 ? [...rule.byMonth].sort((a, b) => a - b) : [month];
+            return months.flatMap(m => monthDays(year + period * rule.interval, m));
+        };
+
+        let count = 0;
+        let idle = 0;
+        for (let period = 0; idle < 1000; period++) {
+            let days = periodDays(period).filter(date => {
+                const parts = this.fromWallTime(date);
+                return (rule.byMonth.length === 0 || rule.freq === 'YEARLY' || rule.byMonth.includes(parts.month))
+                    && (rule.freq !== 'DAILY' || rule.byDay.length === 0 || rule.byDay.some(d => d.weekday === weekday(date)))
+                    && (rule.freq !== 'DAILY' || rule.byMonthDay.length === 0 || rule.byMonthDay.includes(parts.day));
+            });
+            if (rule.bySetPos.length > 0) {
+                days = rule.bySetPos.map(pos => days[pos > 0 ? pos - 1 : days.length + pos]).filter(date => date !== undefined);
+            }
+
+            idle = days.length === 0 ? idle + 1 : 0;
+            for (const date of days.sort((a, b) => a - b)) {
+                const time = date + timeOfDay;
+                if (time < start) continue;
+                if (isPastUntil(time) || (rule.count !== null && count >= rule.count)) return;
+                count++;
+                yield time;
+            }
+        }
+    },
+
+    // Upcoming occurrences (ending after `from`) of every event, at most `limit` per
+    // event: [{ summary, location, start, end, allDay }] sorted by start
+    getOccurrences({ events, timezones }, from, limit) {
+        const key = (event, time) => `${event.uid}|${time}`;
+        // Occurrences moved or changed by a RECURRENCE-ID override
+        const overridden = new Set(events
+            .filter(event => event.recurrenceId)
+            .map(event => key(event, this.getInstantResolver(event.recurrenceId, timezones)(event.recurrenceId.parts).getTime())));
+
+        return events.flatMap(event => {
+            // Past one-off events are dropped before any zone lookups; offsets stay within a day
+            if (!event.rule) {
+                const wallEnd = event.end ? this.toWallTime(event.end.parts) : this.toWallTime(event.start.parts) + event.duration;
+                if (wallEnd < from.getTime() - 86400000) return [];
+            }
+
+            const resolve = this.getInstantResolver(event.start, timezones);
+            const length = event.end
+                ? this.getInstantResolver(event.end, timezones)(event.end.parts) - resolve(event.start.parts)
+                : event.duration;
+            const exceptions = new Set(event.exceptions.map(value => this.getInstantResolver(value, timezones)(value.parts).getTime()));
+
+            let isPastUntil;
+            if (event.rule && event.rule.until) {
+                const until = event.rule.until;
+                const limit = this.toWallTime(until.parts);
+                // A UTC UNTIL is compared on wall time first; zone offsets stay within a
+                // day, so only occurrences near the boundary need resolving
+                isPastUntil = until.utc
+                    ? time => time > limit + 86400000
+                        || (time > limit - 86400000 && resolve(this.fromWallTime(time)).getTime() > limit)
+                    : time => time > limit + (until.allDay ? 86400000 - 1 : 0);
+            }
+
+            const occurrences = [];
+            for (const time of this.expandRule(event.start.parts, event.rule, isPastUntil)) {
+                // Zone offsets stay within a day, so far-past occurrences are skipped unconverted
+                if (time + length < from.getTime() - 86400000) continue;
+                const start = resolve(this.fromWallTime(time));
+                const end = new Date(start.getTime() + length);
+                if (end <= from || exceptions.has(start.getTime())) continue;
+                if (!event.recurrenceId && overridden.has(key(event, start.getTime()))) continue;
+
+                occurrences.push({ summary: event.summary, location: event.location, start, end, allDay: event.start.allDay });
+                if (occurrences.length >= limit) break;
+            }
+            return occurrences;
+        }).sort((a, b) => a.start - b.start);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ICalendar;
+}
@@ -0,0 +1,107 @@
+// City Gazetteer
+// Major cities with coordinates, IANA zone and standard (non-DST) UTC offset.
+// Used by the timezone generation scripts to attach cities to each zone and by
+// the app for per-city sunrise/sunset. Works in the browser and in Node.
+
+const CityGazetteer = {
+    cities: [
+        { name: 'Baker Island', latitude: 0.19, longitude: -176.48, zone: 'Etc/GMT+12', offset: -12 },
+        { name: 'Pago Pago', latitude: -14.28, longitude: -170.70, zone: 'Pacific/Pago_Pago', offset: -11 },
+        { name: 'Honolulu', latitude: 21.31, longitude: -157.86, zone: 'Pacific/Honolulu', offset: -10 },
+        { name: 'Anchorage', latitude: 61.22, longitude: -149.90, zone: 'America/Anchorage', offset: -9 },
+        { name: 'Los Angeles', latitude: 34.05, longitude: -118.24, zone: 'America/Los_Angeles', offset: -8 },
+        { name: 'San Francisco', latitude: 37.77, longitude: -122.42, zone: 'America/Los_Angeles', offset: -8 },
+        { name: 'Seattle', latitude: 47.61, longitude: -122.33, zone: 'America/Los_Angeles', offset: -8 },
+        { name: 'Vancouver', latitude: 49.28, longitude: -123.12, zone: 'America/Vancouver', offset: -8 },
+        { name: 'Denver', latitude: 39.74, longitude: -104.99, zone: 'America/Denver', offset: -7 },
+        { name: 'Phoenix', latitude: 33.45, longitude: -112.07, zone: 'America/Phoenix', offset: -7 },
+        { name: 'Calgary', latitude: 51.05, longitude: -114.07, zone: 'America/Edmonton', offset: -7 },
+        { name: 'Chicago', latitude: 41.88, longitude: -87.63, zone: 'America/Chicago', offset: -6 },
+        { name: 'Houston', latitude: 29.76, longitude: -95.37, zone: 'America/Chicago', offset: -6 },
+        { name: 'Mexico City', latitude: 19.43, longitude: -99.13, zone: 'America/Mexico_City', offset: -6 },
+        { name: 'Dallas', latitude: 32.78, longitude: -96.80, zone: 'America/Chicago', offset: -6 },
+        { name: 'New York', latitude: 40.71, longitude: -74.01, zone: 'America/New_York', offset: -5 },
+        { name: 'Toronto', latitude: 43.65, longitude: -79.38, zone: 'America/Toronto', offset: -5 },
+        { name: 'Miami', latitude: 25.76, longitude: -80.19, zone: 'America/New_York', offset: -5 },
+        { name: 'Lima', latitude: -12.05, longitude: -77.04, zone: 'America/Lima', offset: -5 },
+        { name: 'Bogotá', latitude: 4.71, longitude: -74.07, zone: 'America/Bogota', offset: -5 },
+        { name: 'Santiago', latitude: -33.45, longitude: -70.67, zone: 'America/Santiago', offset: -4 },
+        { name: 'Caracas', latitude: 10.48, longitude: -66.90, zone: 'America/Caracas', offset: -4 },
+        { name: 'La Paz', latitude: -16.50, longitude: -68.15, zone: 'America/La_Paz', offset: -4 },
+        { name: 'Halifax', latitude: 44.65, longitude: -63.58, zone: 'America/Halifax', offset: -4 },
+        { name: 'St. John\'s', latitude: 47.56, longitude: -52.71, zone: 'America/St_Johns', offset: -3.5 },
+        { name: 'São Paulo', latitude: -23.55, longitude: -46.63, zone: 'America/Sao_Paulo', offset: -3 },
+        { name: 'Buenos Aires', latitude: -34.60, longitude: -58.38, zone: 'America/Argentina/Buenos_Aires', offset: -3 },
+        { name: 'Rio de Janeiro', latitude: -22.91, longitude: -43.17, zone: 'America/Sao_Paulo', offset: -3 },
+        { name: 'South Georgia', latitude: -54.28, longitude: -36.51, zone: 'Atlantic/South_Georgia', offset: -2 },
+        { name: 'Azores', latitude: 37.74, longitude: -25.67, zone: 'Atlantic/Azores', offset: -1 },
+        { name: 'Cape Verde', latitude: 14.93, longitude: -23.51, zone: 'Atlantic/Cape_Verde', offset: -1 },
+        { name: 'London', latitude: 51.51, longitude: -0.13, zone: 'Europe/London', offset: 0 },
+        { name: 'Dublin', latitude: 53.35, longitude: -6.26, zone: 'Europe/Dublin', offset: 0 },
+        { name: 'Lisbon', latitude: 38.72, longitude: -9.14, zone: 'Europe/Lisbon', offset: 0 },
+        { name: 'Accra', latitude: 5.60, longitude: -0.19, zone: 'Africa/Accra', offset: 0 },
+        { name: 'Paris', latitude: 48.86, longitude: 2.35, zone: 'Europe/Paris', offset: 1 },
+        { name: 'Berlin', latitude: 52.52, longitude: 13.40, zone: 'Europe/Berlin', offset: 1 },
+        { name: 'Rome', latitude: 41.90, longitude: 12.50, zone: 'Europe/Rome', offset: 1 },
+        { name: 'Madrid', latitude: 40.42, longitude: -3.70, zone: 'Europe/Madrid', offset: 1 },
+        { name: 'Lagos', latitude: 6.52, longitude: 3.38, zone: 'Africa/Lagos', offset: 1 },
+        { name: 'Athens', latitude: 37.98, longitude: 23.73, zone: 'Europe/Athens', offset: 2 },
+        { name: 'Cairo', latitude: 30.04, longitude: 31.24, zone: 'Africa/Cairo', offset: 2 },
+        { name: 'Johannesburg', latitude: -26.20, longitude: 28.05, zone: 'Africa/Johannesburg', offset: 2 },
+        { name: 'Helsinki', latitude: 60.17, longitude: 24.94, zone: 'Europe/Helsinki', offset: 2 },
+        { name: 'Moscow', latitude: 55.76, longitude: 37.62, zone: 'Europe/Moscow', offset: 3 },
+        { name: 'Istanbul', latitude: 41.01, longitude: 28.98, zone: 'Europe/Istanbul', offset: 3 },
+        { name: 'Riyadh', latitude: 24.71, longitude: 46.68, zone: 'Asia/Riyadh', offset: 3 },
+        { name: 'Nairobi', latitude: -1.29, longitude: 36.82, zone: 'Africa/Nairobi', offset: 3 },
+        { name: 'Tehran', latitude: 35.69, longitude: 51.39, zone: 'Asia/Tehran', offset: 3.5 },
+        { name: 'Dubai', latitude: 25.20, longitude: 55.27, zone: 'Asia/Dubai', offset: 4 },
+        { name: 'Baku', latitude: 40.41, longitude: 49.87, zone: 'Asia/Baku', offset: 4 },
+        { name: 'Tbilisi', latitude: 41.72, longitude: 44.78, zone: 'Asia/Tbilisi', offset: 4 },
+        { name: 'Kabul', latitude: 34.56, longitude: 69.21, zone: 'Asia/Kabul', offset: 4.5 },
+        { name: 'Karachi', latitude: 24.86, longitude: 67.01, zone: 'Asia/Karachi', offset: 5 },
+        { name: 'Tashkent', latitude: 41.30, longitude: 69.24, zone: 'Asia/Tashkent', offset: 5 },
+        { name: 'Almaty', latitude: 43.24, longitude: 76.89, zone: 'Asia/Almaty', offset: 5 },
+        { name: 'Mumbai', latitude: 19.08, longitude: 72.88, zone: 'Asia/Kolkata', offset: 5.5 },
+        { name: 'Delhi', latitude: 28.61, longitude: 77.21, zone: 'Asia/Kolkata', offset: 5.5 },
+        { name: 'Kolkata', latitude: 22.57, longitude: 88.36, zone: 'Asia/Kolkata', offset: 5.5 },
+        { name: 'Bangalore', latitude: 12.97, longitude: 77.59, zone: 'Asia/Kolkata', offset: 5.5 },
+        { name: 'Kathmandu', latitude: 27.72, longitude: 85.32, zone: 'Asia/Kathmandu', offset: 5.75 },
+        { name: 'Dhaka', latitude: 23.81, longitude: 90.41, zone: 'Asia/Dhaka', offset: 6 },
+        { name: 'Yangon', latitude: 16.87, longitude: 96.20, zone: 'Asia/Yangon', offset: 6.5 },
+        { name: 'Bangkok', latitude: 13.76, longitude: 100.50, zone: 'Asia/Bangkok', offset: 7 },
+        { name: 'Jakarta', latitude: -6.21, longitude: 106.85, zone: 'Asia/Jakarta', offset: 7 },
+        { name: 'Ho Chi Minh', latitude: 10.82, longitude: 106.63, zone: 'Asia/Ho_Chi_Minh', offset: 7 },
+        { name: 'Beijing', latitude: 39.90, longitude: 116.40, zone: 'Asia/Shanghai', offset: 8 },
+        { name: 'Shanghai', latitude: 31.23, longitude: 121.47, zone: 'Asia/Shanghai', offset: 8 },
+        { name: 'Hong Kong', latitude: 22.32, longitude: 114.17, zone: 'Asia/Hong_Kong', offset: 8 },
+        { name: 'Singapore', latitude: 1.35, longitude: 103.82, zone: 'Asia/Singapore', offset: 8 },
+        { name: 'Perth', latitude: -31.95, longitude: 115.86, zone: 'Australia/Perth', offset: 8 },
+        { name: 'Tokyo', latitude: 35.68, longitude: 139.69, zone: 'Asia/Tokyo', offset: 9 },
+        { name: 'Seoul', latitude: 37.57, longitude: 126.98, zone: 'Asia/Seoul', offset: 9 },
+        { name: 'Osaka', latitude: 34.69, longitude: 135.50, zone: 'Asia/Tokyo', offset: 9 },
+        { name: 'Adelaide', latitude: -34.93, longitude: 138.60, zone: 'Australia/Adelaide', offset: 9.5 },
+        { name: 'Darwin', latitude: -12.46, longitude: 130.84, zone: 'Australia/Darwin', offset: 9.5 },
+        { name: 'Sydney', latitude: -33.87, longitude: 151.21, zone: 'Australia/Sydney', offset: 10 },
+        { name: 'Melbourne', latitude: -37.81, longitude: 144.96, zone: 'Australia/Melbourne', offset: 10 },
+        { name: 'Brisbane', latitude: -27.47, longitude: 153.03, zone: 'Australia/Brisbane', offset: 10 },
+        { name: 'Noumea', latitude: -22.28, longitude: 166.46, zone: 'Pacific/Noumea', offset: 11 },
+        { name: 'Solomon Islands', latitude: -9.43, longitude: 159.95, zone: 'Pacific/Guadalcanal', offset: 11 },
+        { name: 'Auckland', latitude: -36.85, longitude: 174.76, zone: 'Pacific/Auckland', offset: 12 },
+        { name: 'Fiji', latitude: -18.14, longitude: 178.44, zone: 'Pacific/Fiji', offset: 12 },
+        { name: 'Chatham Islands', latitude: -43.95, longitude: -176.56, zone: 'Pacific/Chatham', offset: 12.75 },
+        { name: 'Nuku\'alofa', latitude: -21.14, longitude: -175.20, zone: 'Pacific/Tongatapu', offset: 13 }
+    ],
+
+    // Cities whose standard UTC offset is `offset`
+    forOffset(offset) {
+        return this.cities.filter(city => city.offset === offset);
+    },
+
+    find(name) {
+        return this.cities.find(city => city.name === name) || null;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CityGazetteer;
+}
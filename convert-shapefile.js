@@ -1,6 +1,7 @@
 // Convert Natural Earth shapefile to GeoJSON
 const shapefile = require('shapefile');
 const fs = require('fs');
+const CityGazetteer = require('./cities.js');
 
 console.log('Converting shapefile to GeoJSON...\n');
 
@@ -66,35 +67,6 @@ function formatOffset(offset) {
 }
 
 function getCitiesForOffset(offset) {
-    const cityMap = {
-        '-12': ['Baker Island'],
-        '-11': ['Pago Pago'],
-        '-10': ['Honolulu'],
-        '-9': ['Anchorage'],
-        '-8': ['Los Angeles', 'San Francisco', 'Seattle'],
-        '-7': ['Denver', 'Phoenix'],
-        '-6': ['Chicago', 'Houston', 'Mexico City'],
-        '-5': ['New York', 'Toronto', 'Miami', 'Lima'],
-        '-4': ['Santiago', 'Halifax'],
-        '-3': ['São Paulo', 'Buenos Aires', 'Rio de Janeiro'],
-        '-2': ['South Georgia'],
-        '-1': ['Azores', 'Cape Verde'],
-        '0': ['London', 'Dublin', 'Lisbon', 'Accra'],
-        '1': ['Paris', 'Berlin', 'Rome', 'Madrid'],
-        '2': ['Athens', 'Cairo', 'Johannesburg'],
-        '3': ['Moscow', 'Istanbul', 'Riyadh', 'Nairobi'],
-        '4': ['Dubai', 'Baku'],
-        '5': ['Karachi', 'Tashkent'],
-        '5.5': ['Mumbai', 'Delhi', 'Kolkata', 'Bangalore'],
-        '6': ['Dhaka', 'Almaty'],
-        '7': ['Bangkok', 'Jakarta'],
-        '8': ['Beijing', 'Shanghai', 'Hong Kong', 'Singapore'],
-        '9': ['Tokyo', 'Seoul'],
-        '10': ['Sydney', 'Melbourne', 'Brisbane'],
-        '11': ['Noumea'],
-        '12': ['Auckland', 'Fiji'],
-        '13': ['Nuku\'alofa']
-    };
-
-    return cityMap[offset.toString()] || [];
+    // Cities with coordinates, for labels and per-city sunrise/sunset
+    return CityGazetteer.forOffset(offset).map(({ name, latitude, longitude, zone }) => ({ name, latitude, longitude, zone }));
 }
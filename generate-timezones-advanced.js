@@ -3,6 +3,7 @@
 
 const https = require('https');
 const fs = require('fs');
+const CityGazetteer = require('./cities.js');
 
 console.log('Downloading timezone boundary data...');
 console.log('This may take a moment...\n');
@@ -22,158 +23,132 @@ function generateImprovedTimezones() {
         {
             offset: -12,
             name: 'Etc/GMT+12',
-            cities: ['Baker Island'],
             // Small Pacific islands
             bounds: { west: -180, east: -172, north: 5, south: -20 }
         },
         {
             offset: -11,
             name: 'Pacific/Samoa',
-            cities: ['Pago Pago'],
             bounds: { west: -175, east: -165, north: -10, south: -20 }
         },
         {
             offset: -10,
             name: 'Pacific/Honolulu',
-            cities: ['Honolulu'],
             bounds: { west: -165, east: -150, north: 25, south: 15 }
         },
         {
             offset: -9,
             name: 'America/Anchorage',
-            cities: ['Anchorage'],
             bounds: { west: -165, east: -140, north: 72, south: 51 }
         },
         {
             offset: -8,
             name: 'America/Los_Angeles',
-            cities: ['Los Angeles', 'San Francisco', 'Seattle', 'Vancouver'],
             bounds: { west: -140, east: -116, north: 60, south: 31 }
         },
         {
             offset: -7,
             name: 'America/Denver',
-            cities: ['Denver', 'Phoenix', 'Calgary'],
             bounds: { west: -116, east: -104, north: 60, south: 31 }
         },
         {
             offset: -6,
             name: 'America/Chicago',
-            cities: ['Chicago', 'Houston', 'Mexico City', 'Dallas'],
             bounds: { west: -104, east: -88, north: 60, south: 14 }
         },
         {
             offset: -5,
             name: 'America/New_York',
-            cities: ['New York', 'Toronto', 'Miami', 'Lima', 'Bogotá'],
             bounds: { west: -88, east: -67, north: 60, south: -13 }
         },
         {
             offset: -4,
             name: 'America/Santiago',
-            cities: ['Santiago', 'Caracas', 'La Paz', 'Halifax'],
             bounds: { west: -82, east: -63, north: 48, south: -56 }
         },
         {
             offset: -3,
             name: 'America/Sao_Paulo',
-            cities: ['São Paulo', 'Buenos Aires', 'Rio de Janeiro'],
             bounds: { west: -75, east: -34, north: 5, south: -56 }
         },
         {
             offset: -2,
             name: 'Atlantic/South_Georgia',
-            cities: ['South Georgia'],
             bounds: { west: -43, east: -34, north: -50, south: -60 }
         },
         {
             offset: -1,
             name: 'Atlantic/Azores',
-            cities: ['Azores', 'Cape Verde'],
             bounds: { west: -32, east: -13, north: 42, south: 14 }
         },
         {
             offset: 0,
             name: 'Europe/London',
-            cities: ['London', 'Dublin', 'Lisbon', 'Accra'],
             bounds: { west: -13, east: 10, north: 72, south: -35 }
         },
         {
             offset: 1,
             name: 'Europe/Paris',
-            cities: ['Paris', 'Berlin', 'Rome', 'Madrid', 'Lagos'],
             bounds: { west: 3, east: 25, north: 72, south: -35 }
         },
         {
             offset: 2,
             name: 'Europe/Athens',
-            cities: ['Athens', 'Cairo', 'Johannesburg', 'Helsinki'],
             bounds: { west: 22, east: 40, north: 72, south: -35 }
         },
         {
             offset: 3,
             name: 'Europe/Moscow',
-            cities: ['Moscow', 'Istanbul', 'Riyadh', 'Nairobi'],
             bounds: { west: 36, east: 55, north: 72, south: -5 }
         },
         {
             offset: 4,
             name: 'Asia/Dubai',
-            cities: ['Dubai', 'Baku', 'Tbilisi'],
             bounds: { west: 50, east: 68, north: 50, south: 12 }
         },
         {
             offset: 5,
             name: 'Asia/Karachi',
-            cities: ['Karachi', 'Tashkent'],
             bounds: { west: 63, east: 73, north: 50, south: 23 }
         },
         {
             offset: 5.5,
             name: 'Asia/Kolkata',
-            cities: ['Mumbai', 'Delhi', 'Kolkata', 'Bangalore'],
             bounds: { west: 68, east: 90, north: 36, south: 6 }
         },
         {
             offset: 6,
             name: 'Asia/Dhaka',
-            cities: ['Dhaka', 'Almaty'],
             bounds: { west: 80, east: 100, north: 55, south: 15 }
         },
         {
             offset: 7,
             name: 'Asia/Bangkok',
-            cities: ['Bangkok', 'Jakarta', 'Ho Chi Minh'],
             bounds: { west: 97, east: 108, north: 28, south: -12 }
         },
         {
             offset: 8,
             name: 'Asia/Shanghai',
-            cities: ['Beijing', 'Shanghai', 'Hong Kong', 'Singapore', 'Perth'],
             bounds: { west: 105, east: 130, north: 55, south: -35 }
         },
         {
             offset: 9,
             name: 'Asia/Tokyo',
-            cities: ['Tokyo', 'Seoul', 'Osaka'],
             bounds: { west: 125, east: 145, north: 50, south: 24 }
         },
         {
             offset: 10,
             name: 'Australia/Sydney',
-            cities: ['Sydney', 'Melbourne', 'Brisbane'],
             bounds: { west: 135, east: 160, north: -10, south: -45 }
         },
         {
             offset: 11,
             name: 'Pacific/Noumea',
-            cities: ['Noumea', 'Solomon Islands'],
             bounds: { west: 155, east: 170, north: -5, south: -25 }
         },
         {
             offset: 12,
             name: 'Pacific/Auckland',
-            cities: ['Auckland', 'Fiji'],
             bounds: { west: 165, east: 180, north: -10, south: -50 }
         }
     ];
@@ -188,7 +163,8 @@ function generateImprovedTimezones() {
                 offset: tz.offset,
                 offsetString: formatOffset(tz.offset),
                 name: tz.name,
-                cities: tz.cities
+                // Cities with coordinates, for labels and per-city sunrise/sunset
+                cities: getCitiesForOffset(tz.offset)
             },
             geometry: {
                 type: 'Polygon',
@@ -211,6 +187,10 @@ function generateImprovedTimezones() {
     };
 }
 
+function getCitiesForOffset(offset) {
+    return CityGazetteer.forOffset(offset).map(({ name, latitude, longitude, zone }) => ({ name, latitude, longitude, zone }));
+}
+
 function formatOffset(offset) {
     if (offset === 0) return 'UTC+0';
 
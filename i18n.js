@@ -0,0 +1,877 @@
+// Internationalization
+// Locale selection, message catalogs and Intl-based helpers for the UI. Times and
+// dates are formatted by Intl in the active locale; UI strings come from the
+// catalogs below and fall back to English. Works in the browser (global I18n) and
+// in Node.
+
+const I18n = {
+    // 'auto' follows the browser; otherwise a BCP 47 tag such as 'de' or 'pt-BR'
+    preference: 'auto',
+    locale: 'en',
+
+    // Scripts written right to left, for engines without Intl.Locale text info
+    rtlLanguages: ['ar', 'dv', 'fa', 'he', 'ks', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'],
+
+    catalogs: {
+        en: {
+            messages: {
+                'app.title': 'World Time',
+                'search.placeholder': 'Search city, zone, UTC+5:30 or IST',
+                'search.label': 'Search time zones',
+                'search.pin': 'Pin this time zone',
+                'search.pinLabel': 'Pin {name}',
+                'toolbar.colors': 'Colors',
+                'scheme.label': 'Color scheme',
+                'marker.toggle': 'Add place',
+                'marker.name': 'Name',
+                'marker.namePlaceholder': 'e.g. Berlin office',
+                'marker.location': 'Location',
+                'marker.locationPlaceholder': 'City or latitude, longitude',
+                'marker.hint': 'Or click the map to choose a point.',
+                'marker.add': 'Add',
+                'marker.notFound': 'Enter a listed city or coordinates such as 52.52, 13.40.',
+                'marker.remove': 'Remove {name}',
+                'format.toggle': 'Time format',
+                'format.clock': 'Clock',
+                'format.clockAuto': 'Language default',
+                'format.clock12': '12-hour',
+                'format.clock24': '24-hour',
+                'format.seconds': 'Show seconds',
+                'format.date': 'Always show the date',
+                'format.compactOffset': 'Short offsets (+5:30)',
+                'toolbar.twilight': 'Twilight',
+                'groupBy.label': 'Map grouping',
+                'groupBy.offset': 'Group by offset',
+                'groupBy.zone': 'Individual zones',
+                'projection.label': 'Map projection',
+                'projection.naturalEarth': 'Natural Earth',
+                'projection.equalEarth': 'Equal Earth',
+                'projection.robinson': 'Robinson',
+                'projection.mercator': 'Mercator',
+                'projection.orthographic': 'Globe',
+                'meridian.label': 'Center',
+                'meridian.aria': 'Central meridian',
+                'theme.label': 'Theme',
+                'theme.system': 'System theme',
+                'theme.light': 'Light',
+                'theme.dark': 'Dark',
+                'locale.label': 'Language',
+                'locale.auto': 'Browser language',
+                'planner.toggle': 'Meeting planner',
+                'planner.title': 'Meeting planner',
+                'planner.date': 'Date (UTC)',
+                'planner.hours': 'Working hours',
+                'planner.to': 'to',
+                'planner.close': 'Close meeting planner',
+                'planner.empty': 'Pin one or more time zones to compare their working hours.',
+                'planner.overlapRow': 'Overlap',
+                'planner.everyoneWorking': 'Everyone is within working hours',
+                'planner.noOverlap': 'No overlapping working hours on this date.',
+                'planner.overlap': 'Overlap: {ranges}',
+                'planner.outsideHours': 'outside working hours',
+                'team.toggle': 'Team',
+                'team.title': 'Team',
+                'team.import': 'Import JSON or CSV',
+                'team.filter': 'Only highlight team zones',
+                'team.clear': 'Clear',
+                'team.close': 'Close team',
+                'team.empty': 'Import a JSON or CSV file with name, zone or city, and working hours for each person.',
+                'team.working': 'working',
+                'team.off': 'off',
+                'team.asleep': 'asleep',
+                'team.imported': 'People imported: {count}.',
+                'team.skipped': 'Row {row} skipped: {reason}.',
+                'team.error.missingName': 'no name',
+                'team.error.unknownZone': 'unknown time zone "{value}"',
+                'team.error.unknownCity': 'unknown city "{value}"',
+                'team.error.noLocation': 'no zone or city',
+                'team.error.notPerson': 'not a person entry: {value}',
+                'team.unreadable': 'Could not read {file}: {message}',
+                'converter.toggle': 'Convert time',
+                'converter.title': 'Time converter',
+                'converter.query': 'Time and place',
+                'converter.queryPlaceholder': '3pm Tokyo',
+                'converter.convert': 'Convert',
+                'converter.time': 'Time',
+                'converter.source': 'in',
+                'converter.date': 'on',
+                'converter.close': 'Close time converter',
+                'converter.hint': 'Type a time and place, or pick a time and zone. Click a card to convert from its zone.',
+                'converter.result': 'Showing {time} on {date} in {place}',
+                'converter.invalid': 'Type a time such as 3pm, 15:30 or noon, optionally with a place.',
+                'converter.notFound': 'No time zone matches "{place}".',
+                'export.toggle': 'Export',
+                'export.image': 'Map with pinned zones',
+                'export.png': 'Save PNG',
+                'export.svg': 'Save SVG',
+                'export.summary': 'Pinned times',
+                'export.copyText': 'Copy text',
+                'export.copyMarkdown': 'Copy Markdown',
+                'export.invite': 'Meeting invite',
+                'export.icsTitle': 'Title',
+                'export.icsDefaultTitle': 'Meeting',
+                'export.icsDuration': 'Duration',
+                'export.icsHint': 'Starts at the slot selected in the meeting planner, or at the time shown on the map.',
+                'export.ics': 'Download .ics',
+                'export.icsSaved': 'Invite saved for {time}.',
+                'export.copied': 'Copied to the clipboard.',
+                'export.noPins': 'Pin one or more time zones first.',
+                'export.failed': 'Export failed: {message}',
+                'export.place': 'Place',
+                'export.time': 'Time',
+                'export.date': 'Date',
+                'export.offset': 'UTC offset',
+                'events.toggle': 'Events',
+                'events.title': 'Calendar events',
+                'events.import': 'Import .ics',
+                'events.clear': 'Clear',
+                'events.close': 'Close calendar events',
+                'events.empty': 'Drop an .ics file on the page, or choose one, to list its upcoming events.',
+                'events.none': 'No upcoming events in this calendar.',
+                'events.imported': 'Events imported from {file}: {count}.',
+                'events.unreadable': 'Could not read {file}: {message}',
+                'events.notCalendar': '{file} is not an .ics calendar file.',
+                'events.allDay': 'All day',
+                'events.untitled': '(No title)',
+                'events.preview': 'Preview on map',
+                'events.drop': 'Drop an .ics file to show its events',
+                'zoom.reset': 'Reset zoom',
+                'timeTravel.label': 'Preview time',
+                'timeTravel.input': 'Preview date and time',
+                'timeTravel.live': 'Live',
+                'timeTravel.backToLive': 'Back to live',
+                'map.label': 'World time zone map',
+                'grid.label': 'Time zones',
+                'keyboard.help': 'Left and right arrows move west and east, Enter expands, P pins or unpins, Escape collapses and T reads out the current time.',
+                'sheet.close': 'Close details',
+                'sheet.pin': 'Pin',
+                'sheet.unpin': 'Unpin',
+                'card.wikipedia': 'Wikipedia →',
+                'sun.heading': 'Sunrise & sunset today',
+                'sun.upAllDay': 'Sun up all day',
+                'sun.downAllDay': 'Sun down all day',
+                'sun.daylightNow': 'Daylight now',
+                'sun.darkNow': 'Dark now',
+                'sun.subsolar': 'Subsolar point (sun directly overhead)',
+                'relative.same': 'Your time zone',
+                'relative.ahead': '{duration} ahead of your time zone',
+                'relative.behind': '{duration} behind your time zone',
+                'relative.sameAs': 'Same time as {name}',
+                'relative.aheadOf': '{duration} ahead of {name}',
+                'relative.behindOf': '{duration} behind {name}',
+                'dateLine.title': 'International Date Line (approximate): the date is one day later to the west',
+                'dateLine.midnight': 'Midnight: {date} begins east of this line',
+                'aria.pinned': 'pinned'
+            },
+            cities: {}
+        },
+
+        de: {
+            messages: {
+                'app.title': 'Weltzeit',
+                'search.placeholder': 'Stadt, Zone, UTC+5:30 oder IST suchen',
+                'search.label': 'Zeitzonen durchsuchen',
+                'search.pin': 'Diese Zeitzone anheften',
+                'search.pinLabel': '{name} anheften',
+                'toolbar.colors': 'Farben',
+                'scheme.label': 'Farbschema',
+                'marker.toggle': 'Ort hinzufügen',
+                'marker.name': 'Name',
+                'marker.namePlaceholder': 'z. B. Büro Berlin',
+                'marker.location': 'Ort',
+                'marker.locationPlaceholder': 'Stadt oder Breite, Länge',
+                'marker.hint': 'Oder klicken Sie auf die Karte, um einen Punkt zu wählen.',
+                'marker.add': 'Hinzufügen',
+                'marker.notFound': 'Geben Sie eine aufgeführte Stadt oder Koordinaten wie 52.52, 13.40 ein.',
+                'marker.remove': '{name} entfernen',
+                'format.toggle': 'Zeitformat',
+                'format.clock': 'Uhr',
+                'format.clockAuto': 'Wie die Sprache',
+                'format.clock12': '12 Stunden',
+                'format.clock24': '24 Stunden',
+                'format.seconds': 'Sekunden anzeigen',
+                'format.date': 'Datum immer anzeigen',
+                'format.compactOffset': 'Kurze Versätze (+5:30)',
+                'toolbar.twilight': 'Dämmerung',
+                'groupBy.label': 'Gruppierung der Karte',
+                'groupBy.offset': 'Nach Versatz gruppieren',
+                'groupBy.zone': 'Einzelne Zonen',
+                'projection.label': 'Kartenprojektion',
+                'projection.orthographic': 'Globus',
+                'meridian.label': 'Mitte',
+                'meridian.aria': 'Mittelmeridian',
+                'theme.label': 'Design',
+                'theme.system': 'Systemdesign',
+                'theme.light': 'Hell',
+                'theme.dark': 'Dunkel',
+                'locale.label': 'Sprache',
+                'locale.auto': 'Browsersprache',
+                'planner.toggle': 'Terminplaner',
+                'planner.title': 'Terminplaner',
+                'planner.date': 'Datum (UTC)',
+                'planner.hours': 'Arbeitszeit',
+                'planner.to': 'bis',
+                'planner.close': 'Terminplaner schließen',
+                'planner.empty': 'Heften Sie eine oder mehrere Zeitzonen an, um ihre Arbeitszeiten zu vergleichen.',
+                'planner.overlapRow': 'Überschneidung',
+                'planner.everyoneWorking': 'Alle sind innerhalb der Arbeitszeit',
+                'planner.noOverlap': 'An diesem Datum überschneiden sich die Arbeitszeiten nicht.',
+                'planner.overlap': 'Überschneidung: {ranges}',
+                'planner.outsideHours': 'außerhalb der Arbeitszeit',
+                'team.toggle': 'Team',
+                'team.title': 'Team',
+                'team.import': 'JSON oder CSV importieren',
+                'team.filter': 'Nur Zonen des Teams hervorheben',
+                'team.clear': 'Leeren',
+                'team.close': 'Team schließen',
+                'team.empty': 'Importieren Sie eine JSON- oder CSV-Datei mit Name, Zone oder Stadt und Arbeitszeit pro Person.',
+                'team.working': 'arbeitet',
+                'team.off': 'frei',
+                'team.asleep': 'schläft',
+                'team.imported': 'Importierte Personen: {count}.',
+                'team.skipped': 'Zeile {row} übersprungen: {reason}.',
+                'team.error.missingName': 'kein Name',
+                'team.error.unknownZone': 'unbekannte Zeitzone „{value}“',
+                'team.error.unknownCity': 'unbekannte Stadt „{value}“',
+                'team.error.noLocation': 'weder Zone noch Stadt',
+                'team.error.notPerson': 'kein Personeneintrag: {value}',
+                'team.unreadable': '{file} konnte nicht gelesen werden: {message}',
+                'converter.toggle': 'Zeit umrechnen',
+                'converter.title': 'Zeitumrechner',
+                'converter.query': 'Uhrzeit und Ort',
+                'converter.queryPlaceholder': '15:00 Tokio',
+                'converter.convert': 'Umrechnen',
+                'converter.time': 'Uhrzeit',
+                'converter.source': 'in',
+                'converter.date': 'am',
+                'converter.close': 'Zeitumrechner schließen',
+                'converter.hint': 'Geben Sie Uhrzeit und Ort ein oder wählen Sie Uhrzeit und Zone. Ein Klick auf eine Karte rechnet von deren Zone aus um.',
+                'converter.result': '{time} am {date} in {place}',
+                'converter.invalid': 'Geben Sie eine Uhrzeit wie 15:30 oder 3pm ein, optional mit Ort.',
+                'converter.notFound': 'Keine Zeitzone passt zu „{place}“.',
+                'export.toggle': 'Exportieren',
+                'export.image': 'Karte mit angehefteten Zonen',
+                'export.png': 'Als PNG speichern',
+                'export.svg': 'Als SVG speichern',
+                'export.summary': 'Angeheftete Zeiten',
+                'export.copyText': 'Text kopieren',
+                'export.copyMarkdown': 'Markdown kopieren',
+                'export.invite': 'Termineinladung',
+                'export.icsTitle': 'Titel',
+                'export.icsDefaultTitle': 'Besprechung',
+                'export.icsDuration': 'Dauer',
+                'export.icsHint': 'Beginnt im ausgewählten Feld des Terminplaners oder zur Zeit auf der Karte.',
+                'export.ics': '.ics herunterladen',
+                'export.icsSaved': 'Einladung für {time} gespeichert.',
+                'export.copied': 'In die Zwischenablage kopiert.',
+                'export.noPins': 'Heften Sie zuerst eine oder mehrere Zeitzonen an.',
+                'export.failed': 'Export fehlgeschlagen: {message}',
+                'export.place': 'Ort',
+                'export.time': 'Uhrzeit',
+                'export.date': 'Datum',
+                'export.offset': 'UTC-Versatz',
+                'events.toggle': 'Termine',
+                'events.title': 'Kalendertermine',
+                'events.import': '.ics importieren',
+                'events.clear': 'Leeren',
+                'events.close': 'Kalendertermine schließen',
+                'events.empty': 'Ziehen Sie eine .ics-Datei auf die Seite oder wählen Sie eine aus, um die anstehenden Termine aufzulisten.',
+                'events.none': 'Keine anstehenden Termine in diesem Kalender.',
+                'events.imported': 'Termine aus {file} importiert: {count}.',
+                'events.unreadable': '{file} konnte nicht gelesen werden: {message}',
+                'events.notCalendar': '{file} ist keine .ics-Kalenderdatei.',
+                'events.allDay': 'Ganztägig',
+                'events.untitled': '(Ohne Titel)',
+                'events.preview': 'Auf der Karte zeigen',
+                'events.drop': '.ics-Datei ablegen, um ihre Termine anzuzeigen',
+                'zoom.reset': 'Zoom zurücksetzen',
+                'timeTravel.label': 'Zeitvorschau',
+                'timeTravel.input': 'Datum und Uhrzeit der Vorschau',
+                'timeTravel.live': 'Live',
+                'timeTravel.backToLive': 'Zurück zu live',
+                'map.label': 'Weltkarte der Zeitzonen',
+                'grid.label': 'Zeitzonen',
+                'keyboard.help': 'Die Pfeiltasten links und rechts wechseln nach Westen und Osten, Eingabe klappt auf, P heftet an oder löst, Escape klappt zu und T liest die aktuelle Uhrzeit vor.',
+                'sheet.close': 'Details schließen',
+                'sheet.pin': 'Anheften',
+                'sheet.unpin': 'Lösen',
+                'card.wikipedia': 'Wikipedia →',
+                'sun.heading': 'Sonnenauf- und -untergang heute',
+                'sun.upAllDay': 'Sonne den ganzen Tag über dem Horizont',
+                'sun.downAllDay': 'Sonne den ganzen Tag unter dem Horizont',
+                'sun.daylightNow': 'Jetzt hell',
+                'sun.darkNow': 'Jetzt dunkel',
+                'sun.subsolar': 'Subsolarer Punkt (Sonne im Zenit)',
+                'relative.same': 'Ihre Zeitzone',
+                'relative.ahead': '{duration} vor Ihrer Zeitzone',
+                'relative.behind': '{duration} hinter Ihrer Zeitzone',
+                'relative.sameAs': 'Gleiche Zeit wie {name}',
+                'relative.aheadOf': '{duration} vor {name}',
+                'relative.behindOf': '{duration} hinter {name}',
+                'dateLine.title': 'Datumsgrenze (ungefähr): westlich davon ist es einen Tag später',
+                'dateLine.midnight': 'Mitternacht: östlich dieser Linie beginnt {date}',
+                'aria.pinned': 'angeheftet'
+            },
+            cities: {
+                'Baker Island': 'Bakerinsel',
+                'Mexico City': 'Mexiko-Stadt',
+                'South Georgia': 'Südgeorgien',
+                'Azores': 'Azoren',
+                'Cape Verde': 'Kap Verde',
+                'Lisbon': 'Lissabon',
+                'Rome': 'Rom',
+                'Athens': 'Athen',
+                'Cairo': 'Kairo',
+                'Moscow': 'Moskau',
+                'Riyadh': 'Riad',
+                'Tehran': 'Teheran',
+                'Tbilisi': 'Tiflis',
+                'Tashkent': 'Taschkent',
+                'Ho Chi Minh': 'Ho-Chi-Minh-Stadt',
+                'Beijing': 'Peking',
+                'Singapore': 'Singapur',
+                'Solomon Islands': 'Salomonen',
+                'Fiji': 'Fidschi',
+                'Chatham Islands': 'Chatham-Inseln'
+            }
+        },
+
+        ja: {
+            messages: {
+                'app.title': '世界時計',
+                'search.placeholder': '都市、タイムゾーン、UTC+5:30、IST で検索',
+                'search.label': 'タイムゾーンを検索',
+                'search.pin': 'このタイムゾーンをピン留め',
+                'search.pinLabel': '{name} をピン留め',
+                'toolbar.colors': '配色',
+                'scheme.label': '配色',
+                'marker.toggle': '場所を追加',
+                'marker.name': '名前',
+                'marker.namePlaceholder': '例: ベルリン事務所',
+                'marker.location': '場所',
+                'marker.locationPlaceholder': '都市名または緯度, 経度',
+                'marker.hint': 'または地図をクリックして地点を選びます。',
+                'marker.add': '追加',
+                'marker.notFound': '一覧にある都市名か、52.52, 13.40 のような座標を入力してください。',
+                'marker.remove': '{name} を削除',
+                'format.toggle': '時刻の表示',
+                'format.clock': '時計',
+                'format.clockAuto': '言語の既定',
+                'format.clock12': '12 時間制',
+                'format.clock24': '24 時間制',
+                'format.seconds': '秒を表示',
+                'format.date': '常に日付を表示',
+                'format.compactOffset': 'オフセットを短く表示 (+5:30)',
+                'toolbar.twilight': '薄明',
+                'groupBy.label': '地図のまとめ方',
+                'groupBy.offset': 'UTC オフセットでまとめる',
+                'groupBy.zone': '個別のタイムゾーン',
+                'projection.label': '地図投影法',
+                'projection.naturalEarth': 'ナチュラルアース',
+                'projection.equalEarth': 'イコールアース',
+                'projection.robinson': 'ロビンソン図法',
+                'projection.mercator': 'メルカトル図法',
+                'projection.orthographic': '地球儀',
+                'meridian.label': '中心',
+                'meridian.aria': '中央経線',
+                'theme.label': 'テーマ',
+                'theme.system': 'システム設定',
+                'theme.light': 'ライト',
+                'theme.dark': 'ダーク',
+                'locale.label': '言語',
+                'locale.auto': 'ブラウザの言語',
+                'planner.toggle': '会議プランナー',
+                'planner.title': '会議プランナー',
+                'planner.date': '日付 (UTC)',
+                'planner.hours': '勤務時間',
+                'planner.to': '〜',
+                'planner.close': '会議プランナーを閉じる',
+                'planner.empty': 'タイムゾーンをピン留めすると勤務時間を比較できます。',
+                'planner.overlapRow': '重なり',
+                'planner.everyoneWorking': '全員が勤務時間内です',
+                'planner.noOverlap': 'この日は勤務時間が重なりません。',
+                'planner.overlap': '重なり: {ranges}',
+                'planner.outsideHours': '勤務時間外',
+                'team.toggle': 'チーム',
+                'team.title': 'チーム',
+                'team.import': 'JSON または CSV を読み込む',
+                'team.filter': 'チームのタイムゾーンのみ強調',
+                'team.clear': 'クリア',
+                'team.close': 'チームを閉じる',
+                'team.empty': '各メンバーの名前、タイムゾーンまたは都市、勤務時間を含む JSON または CSV ファイルを読み込んでください。',
+                'team.working': '勤務中',
+                'team.off': '勤務外',
+                'team.asleep': '就寝中',
+                'team.imported': '読み込んだメンバー: {count}人。',
+                'team.skipped': '{row}行目をスキップ: {reason}。',
+                'team.error.missingName': '名前がありません',
+                'team.error.unknownZone': '不明なタイムゾーン「{value}」',
+                'team.error.unknownCity': '不明な都市「{value}」',
+                'team.error.noLocation': 'タイムゾーンも都市もありません',
+                'team.error.notPerson': '人物の項目ではありません: {value}',
+                'team.unreadable': '{file} を読み込めません: {message}',
+                'converter.toggle': '時刻を換算',
+                'converter.title': '時刻換算',
+                'converter.query': '時刻と場所',
+                'converter.queryPlaceholder': '15:00 東京',
+                'converter.convert': '換算',
+                'converter.time': '時刻',
+                'converter.source': 'タイムゾーン',
+                'converter.date': '日付',
+                'converter.close': '時刻換算を閉じる',
+                'converter.hint': '時刻と場所を入力するか、時刻とタイムゾーンを選んでください。カードをクリックするとそのタイムゾーンから換算します。',
+                'converter.result': '{place}の{date} {time}を表示中',
+                'converter.invalid': '15:30 や 3pm のように時刻を入力してください (場所は任意)。',
+                'converter.notFound': '「{place}」に一致するタイムゾーンがありません。',
+                'export.toggle': 'エクスポート',
+                'export.image': 'ピン留めしたタイムゾーン付きの地図',
+                'export.png': 'PNG で保存',
+                'export.svg': 'SVG で保存',
+                'export.summary': 'ピン留めした時刻',
+                'export.copyText': 'テキストをコピー',
+                'export.copyMarkdown': 'Markdown をコピー',
+                'export.invite': '会議の招待',
+                'export.icsTitle': 'タイトル',
+                'export.icsDefaultTitle': '会議',
+                'export.icsDuration': '時間',
+                'export.icsHint': '会議プランナーで選択した枠、または地図に表示中の時刻に開始します。',
+                'export.ics': '.ics をダウンロード',
+                'export.icsSaved': '{time} の招待を保存しました。',
+                'export.copied': 'クリップボードにコピーしました。',
+                'export.noPins': '先にタイムゾーンをピン留めしてください。',
+                'export.failed': 'エクスポートに失敗しました: {message}',
+                'export.place': '場所',
+                'export.time': '時刻',
+                'export.date': '日付',
+                'export.offset': 'UTC との時差',
+                'events.toggle': '予定',
+                'events.title': 'カレンダーの予定',
+                'events.import': '.ics を読み込む',
+                'events.clear': 'クリア',
+                'events.close': 'カレンダーの予定を閉じる',
+                'events.empty': '.ics ファイルをページにドロップするか選択すると、今後の予定を一覧表示します。',
+                'events.none': 'このカレンダーに今後の予定はありません。',
+                'events.imported': '{file} から読み込んだ予定: {count}件。',
+                'events.unreadable': '{file} を読み込めません: {message}',
+                'events.notCalendar': '{file} は .ics カレンダーファイルではありません。',
+                'events.allDay': '終日',
+                'events.untitled': '(タイトルなし)',
+                'events.preview': '地図で表示',
+                'events.drop': '.ics ファイルをドロップして予定を表示',
+                'zoom.reset': 'ズームをリセット',
+                'timeTravel.label': '時刻をプレビュー',
+                'timeTravel.input': 'プレビューする日時',
+                'timeTravel.live': 'ライブ',
+                'timeTravel.backToLive': '現在時刻に戻る',
+                'map.label': '世界のタイムゾーン地図',
+                'grid.label': 'タイムゾーン',
+                'keyboard.help': '左右の矢印キーで西と東へ移動、Enter で展開、P でピン留めまたは解除、Escape で折りたたみ、T で現在時刻を読み上げます。',
+                'sheet.close': '詳細を閉じる',
+                'sheet.pin': 'ピン留め',
+                'sheet.unpin': 'ピン留めを解除',
+                'card.wikipedia': 'Wikipedia →',
+                'sun.heading': '今日の日の出と日の入り',
+                'sun.upAllDay': '終日日が沈みません',
+                'sun.downAllDay': '終日日が昇りません',
+                'sun.daylightNow': '現在は昼間',
+                'sun.darkNow': '現在は夜間',
+                'sun.subsolar': '太陽直下点（太陽が真上にある地点）',
+                'relative.same': 'あなたのタイムゾーン',
+                'relative.ahead': 'あなたのタイムゾーンより {duration} 進んでいます',
+                'relative.behind': 'あなたのタイムゾーンより {duration} 遅れています',
+                'relative.sameAs': '{name}と同じ時刻',
+                'relative.aheadOf': '{name}より {duration} 進んでいます',
+                'relative.behindOf': '{name}より {duration} 遅れています',
+                'dateLine.title': '日付変更線（おおよそ）：西側は日付が1日進みます',
+                'dateLine.midnight': '午前0時：この線の東側で {date} が始まります',
+                'aria.pinned': 'ピン留め済み'
+            },
+            cities: {
+                'Baker Island': 'ベーカー島',
+                'Pago Pago': 'パゴパゴ',
+                'Honolulu': 'ホノルル',
+                'Anchorage': 'アンカレッジ',
+                'Los Angeles': 'ロサンゼルス',
+                'San Francisco': 'サンフランシスコ',
+                'Seattle': 'シアトル',
+                'Vancouver': 'バンクーバー',
+                'Denver': 'デンバー',
+                'Phoenix': 'フェニックス',
+                'Calgary': 'カルガリー',
+                'Chicago': 'シカゴ',
+                'Houston': 'ヒューストン',
+                'Mexico City': 'メキシコシティ',
+                'Dallas': 'ダラス',
+                'New York': 'ニューヨーク',
+                'Toronto': 'トロント',
+                'Miami': 'マイアミ',
+                'Lima': 'リマ',
+                'Bogotá': 'ボゴタ',
+                'Santiago': 'サンティアゴ',
+                'Caracas': 'カラカス',
+                'La Paz': 'ラパス',
+                'Halifax': 'ハリファックス',
+                'St. John\'s': 'セントジョンズ',
+                'São Paulo': 'サンパウロ',
+                'Buenos Aires': 'ブエノスアイレス',
+                'Rio de Janeiro': 'リオデジャネイロ',
+                'South Georgia': 'サウスジョージア',
+                'Azores': 'アゾレス諸島',
+                'Cape Verde': 'カーボベルデ',
+                'London': 'ロンドン',
+                'Dublin': 'ダブリン',
+                'Lisbon': 'リスボン',
+                'Accra': 'アクラ',
+                'Paris': 'パリ',
+                'Berlin': 'ベルリン',
+                'Rome': 'ローマ',
+                'Madrid': 'マドリード',
+                'Lagos': 'ラゴス',
+                'Athens': 'アテネ',
+                'Cairo': 'カイロ',
+                'Johannesburg': 'ヨハネスブルグ',
+                'Helsinki': 'ヘルシンキ',
+                'Moscow': 'モスクワ',
+                'Istanbul': 'イスタンブール',
+                'Riyadh': 'リヤド',
+                'Nairobi': 'ナイロビ',
+                'Tehran': 'テヘラン',
+                'Dubai': 'ドバイ',
+                'Baku': 'バクー',
+                'Tbilisi': 'トビリシ',
+                'Kabul': 'カブール',
+                'Karachi': 'カラチ',
+                'Tashkent': 'タシケント',
+                'Almaty': 'アルマトイ',
+                'Mumbai': 'ムンバイ',
+                'Delhi': 'デリー',
+                'Kolkata': 'コルカタ',
+                'Bangalore': 'バンガロール',
+                'Kathmandu': 'カトマンズ',
+                'Dhaka': 'ダッカ',
+                'Yangon': 'ヤンゴン',
+                'Bangkok': 'バンコク',
+                'Jakarta': 'ジャカルタ',
+                'Ho Chi Minh': 'ホーチミン',
+                'Beijing': '北京',
+                'Shanghai': '上海',
+                'Hong Kong': '香港',
+                'Singapore': 'シンガポール',
+                'Perth': 'パース',
+                'Tokyo': '東京',
+                'Seoul': 'ソウル',
+                'Osaka': '大阪',
+                'Adelaide': 'アデレード',
+                'Darwin': 'ダーウィン',
+                'Sydney': 'シドニー',
+                'Melbourne': 'メルボルン',
+                'Brisbane': 'ブリスベン',
+                'Noumea': 'ヌメア',
+                'Solomon Islands': 'ソロモン諸島',
+                'Auckland': 'オークランド',
+                'Fiji': 'フィジー',
+                'Chatham Islands': 'チャタム諸島',
+                'Nuku\'alofa': 'ヌクアロファ'
+            }
+        },
+
+        pt: {
+            messages: {
+                'app.title': 'Hora Mundial',
+                'search.placeholder': 'Buscar cidade, fuso, UTC+5:30 ou IST',
+                'search.label': 'Buscar fusos horários',
+                'search.pin': 'Fixar este fuso horário',
+                'search.pinLabel': 'Fixar {name}',
+                'toolbar.colors': 'Cores',
+                'scheme.label': 'Esquema de cores',
+                'marker.toggle': 'Adicionar local',
+                'marker.name': 'Nome',
+                'marker.namePlaceholder': 'ex.: Escritório de Berlim',
+                'marker.location': 'Local',
+                'marker.locationPlaceholder': 'Cidade ou latitude, longitude',
+                'marker.hint': 'Ou clique no mapa para escolher um ponto.',
+                'marker.add': 'Adicionar',
+                'marker.notFound': 'Digite uma cidade da lista ou coordenadas como 52.52, 13.40.',
+                'marker.remove': 'Remover {name}',
+                'format.toggle': 'Formato de hora',
+                'format.clock': 'Relógio',
+                'format.clockAuto': 'Padrão do idioma',
+                'format.clock12': '12 horas',
+                'format.clock24': '24 horas',
+                'format.seconds': 'Mostrar segundos',
+                'format.date': 'Sempre mostrar a data',
+                'format.compactOffset': 'Deslocamentos curtos (+5:30)',
+                'toolbar.twilight': 'Crepúsculo',
+                'groupBy.label': 'Agrupamento do mapa',
+                'groupBy.offset': 'Agrupar por deslocamento',
+                'groupBy.zone': 'Fusos individuais',
+                'projection.label': 'Projeção do mapa',
+                'projection.orthographic': 'Globo',
+                'meridian.label': 'Centro',
+                'meridian.aria': 'Meridiano central',
+                'theme.label': 'Tema',
+                'theme.system': 'Tema do sistema',
+                'theme.light': 'Claro',
+                'theme.dark': 'Escuro',
+                'locale.label': 'Idioma',
+                'locale.auto': 'Idioma do navegador',
+                'planner.toggle': 'Planejador de reuniões',
+                'planner.title': 'Planejador de reuniões',
+                'planner.date': 'Data (UTC)',
+                'planner.hours': 'Horário de trabalho',
+                'planner.to': 'até',
+                'planner.close': 'Fechar planejador de reuniões',
+                'planner.empty': 'Fixe um ou mais fusos horários para comparar os horários de trabalho.',
+                'planner.overlapRow': 'Sobreposição',
+                'planner.everyoneWorking': 'Todos estão no horário de trabalho',
+                'planner.noOverlap': 'Nenhum horário de trabalho em comum nesta data.',
+                'planner.overlap': 'Sobreposição: {ranges}',
+                'planner.outsideHours': 'fora do horário de trabalho',
+                'team.toggle': 'Equipe',
+                'team.title': 'Equipe',
+                'team.import': 'Importar JSON ou CSV',
+                'team.filter': 'Destacar só os fusos da equipe',
+                'team.clear': 'Limpar',
+                'team.close': 'Fechar equipe',
+                'team.empty': 'Importe um arquivo JSON ou CSV com nome, fuso ou cidade e horário de trabalho de cada pessoa.',
+                'team.working': 'trabalhando',
+                'team.off': 'de folga',
+                'team.asleep': 'dormindo',
+                'team.imported': 'Pessoas importadas: {count}.',
+                'team.skipped': 'Linha {row} ignorada: {reason}.',
+                'team.error.missingName': 'sem nome',
+                'team.error.unknownZone': 'fuso horário desconhecido "{value}"',
+                'team.error.unknownCity': 'cidade desconhecida "{value}"',
+                'team.error.noLocation': 'sem fuso nem cidade',
+                'team.error.notPerson': 'não é uma pessoa: {value}',
+                'team.unreadable': 'Não foi possível ler {file}: {message}',
+                'converter.toggle': 'Converter horário',
+                'converter.title': 'Conversor de horário',
+                'converter.query': 'Horário e lugar',
+                'converter.queryPlaceholder': '15:00 Tóquio',
+                'converter.convert': 'Converter',
+                'converter.time': 'Horário',
+                'converter.source': 'em',
+                'converter.date': 'no dia',
+                'converter.close': 'Fechar conversor de horário',
+                'converter.hint': 'Digite um horário e um lugar, ou escolha horário e fuso. Clique em um cartão para converter a partir do fuso dele.',
+                'converter.result': 'Mostrando {time} de {date} em {place}',
+                'converter.invalid': 'Digite um horário como 15:30 ou 3pm, opcionalmente com um lugar.',
+                'converter.notFound': 'Nenhum fuso horário corresponde a "{place}".',
+                'export.toggle': 'Exportar',
+                'export.image': 'Mapa com fusos fixados',
+                'export.png': 'Salvar PNG',
+                'export.svg': 'Salvar SVG',
+                'export.summary': 'Horários fixados',
+                'export.copyText': 'Copiar texto',
+                'export.copyMarkdown': 'Copiar Markdown',
+                'export.invite': 'Convite de reunião',
+                'export.icsTitle': 'Título',
+                'export.icsDefaultTitle': 'Reunião',
+                'export.icsDuration': 'Duração',
+                'export.icsHint': 'Começa no intervalo selecionado no planejador de reuniões ou no horário mostrado no mapa.',
+                'export.ics': 'Baixar .ics',
+                'export.icsSaved': 'Convite salvo para {time}.',
+                'export.copied': 'Copiado para a área de transferência.',
+                'export.noPins': 'Fixe um ou mais fusos horários primeiro.',
+                'export.failed': 'Falha na exportação: {message}',
+                'export.place': 'Lugar',
+                'export.time': 'Horário',
+                'export.date': 'Data',
+                'export.offset': 'Diferença de UTC',
+                'events.toggle': 'Eventos',
+                'events.title': 'Eventos da agenda',
+                'events.import': 'Importar .ics',
+                'events.clear': 'Limpar',
+                'events.close': 'Fechar eventos da agenda',
+                'events.empty': 'Solte um arquivo .ics na página, ou escolha um, para listar os próximos eventos.',
+                'events.none': 'Nenhum evento futuro nesta agenda.',
+                'events.imported': 'Eventos importados de {file}: {count}.',
+                'events.unreadable': 'Não foi possível ler {file}: {message}',
+                'events.notCalendar': '{file} não é um arquivo de agenda .ics.',
+                'events.allDay': 'Dia inteiro',
+                'events.untitled': '(Sem título)',
+                'events.preview': 'Ver no mapa',
+                'events.drop': 'Solte um arquivo .ics para ver seus eventos',
+                'zoom.reset': 'Redefinir zoom',
+                'timeTravel.label': 'Pré-visualizar horário',
+                'timeTravel.input': 'Data e hora da pré-visualização',
+                'timeTravel.live': 'Ao vivo',
+                'timeTravel.backToLive': 'Voltar ao vivo',
+                'map.label': 'Mapa mundial de fusos horários',
+                'grid.label': 'Fusos horários',
+                'keyboard.help': 'As setas para a esquerda e para a direita movem para oeste e leste, Enter expande, P fixa ou desafixa, Escape recolhe e T lê o horário atual.',
+                'sheet.close': 'Fechar detalhes',
+                'sheet.pin': 'Fixar',
+                'sheet.unpin': 'Desafixar',
+                'card.wikipedia': 'Wikipédia →',
+                'sun.heading': 'Nascer e pôr do sol hoje',
+                'sun.upAllDay': 'Sol acima do horizonte o dia todo',
+                'sun.downAllDay': 'Sol abaixo do horizonte o dia todo',
+                'sun.daylightNow': 'Dia agora',
+                'sun.darkNow': 'Noite agora',
+                'sun.subsolar': 'Ponto subsolar (sol a pino)',
+                'relative.same': 'Seu fuso horário',
+                'relative.ahead': '{duration} à frente do seu fuso horário',
+                'relative.behind': '{duration} atrás do seu fuso horário',
+                'relative.sameAs': 'Mesmo horário de {name}',
+                'relative.aheadOf': '{duration} à frente de {name}',
+                'relative.behindOf': '{duration} atrás de {name}',
+                'dateLine.title': 'Linha Internacional de Data (aproximada): a oeste é um dia depois',
+                'dateLine.midnight': 'Meia-noite: {date} começa a leste desta linha',
+                'aria.pinned': 'fixado'
+            },
+            cities: {
+                'Baker Island': 'Ilha Baker',
+                'San Francisco': 'São Francisco',
+                'Mexico City': 'Cidade do México',
+                'New York': 'Nova York',
+                'South Georgia': 'Geórgia do Sul',
+                'Azores': 'Açores',
+                'Cape Verde': 'Cabo Verde',
+                'London': 'Londres',
+                'Lisbon': 'Lisboa',
+                'Accra': 'Acra',
+                'Berlin': 'Berlim',
+                'Rome': 'Roma',
+                'Madrid': 'Madri',
+                'Athens': 'Atenas',
+                'Johannesburg': 'Joanesburgo',
+                'Helsinki': 'Helsinque',
+                'Moscow': 'Moscou',
+                'Istanbul': 'Istambul',
+                'Riyadh': 'Riad',
+                'Nairobi': 'Nairóbi',
+                'Tehran': 'Teerã',
+                'Kabul': 'Cabul',
+                'Delhi': 'Déli',
+                'Kolkata': 'Calcutá',
+                'Kathmandu': 'Catmandu',
+                'Dhaka': 'Daca',
+                'Yangon': 'Rangum',
+                'Jakarta': 'Jacarta',
+                'Ho Chi Minh': 'Cidade de Ho Chi Minh',
+                'Beijing': 'Pequim',
+                'Shanghai': 'Xangai',
+                'Singapore': 'Singapura',
+                'Tokyo': 'Tóquio',
+                'Seoul': 'Seul',
+                'Noumea': 'Nouméa',
+                'Solomon Islands': 'Ilhas Salomão',
+                'Fiji': 'Fiji',
+                'Chatham Islands': 'Ilhas Chatham'
+            }
+        }
+    },
+
+    // Resolve a preference ('auto' or a tag) to the locale used for formatting
+    setLocale(preference) {
+        this.preference = preference || 'auto';
+        let locale = this.preference === 'auto'
+            ? (typeof navigator !== 'undefined' && navigator.language) || 'en'
+            : this.preference;
+        try {
+            locale = Intl.getCanonicalLocales(locale)[0];
+        } catch (e) {
+            console.warn(`Unknown locale ${locale}, using English`);
+            locale = 'en';
+        }
+        this.locale = locale;
+        return locale;
+    },
+
+    getLanguage() {
+        return this.locale.split('-')[0];
+    },
+
+    getCatalog(language = this.getLanguage()) {
+        return this.catalogs[language] || this.catalogs.en;
+    },
+
+    // Languages with a message catalog, for the language picker
+    getAvailableLanguages() {
+        return Object.keys(this.catalogs);
+    },
+
+    // Translate a message key, filling {placeholders} from params
+    t(key, params = {}) {
+        const message = this.getCatalog().messages[key] || this.catalogs.en.messages[key] || key;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    // City name in the active language, when the catalog has one
+    cityName(name) {
+        return this.getCatalog().cities[name] || name;
+    },
+
+    // A language's own name for itself: 'de' -> 'Deutsch', 'ja' -> '日本語'
+    languageName(language) {
+        try {
+            const name = new Intl.DisplayNames([language], { type: 'language' }).of(language);
+            return name.charAt(0).toLocaleUpperCase(language) + name.slice(1);
+        } catch (e) {
+            return language;
+        }
+    },
+
+    // Localized generic name of an IANA zone, e.g. 'Mitteleuropäische Zeit'
+    zoneName(timeZone, date = new Date()) {
+        try {
+            const part = new Intl.DateTimeFormat(this.locale, { timeZone: timeZone, timeZoneName: 'longGeneric' })
+                .formatToParts(date)
+                .find(p => p.type === 'timeZoneName');
+            return part ? part.value : timeZone;
+        } catch (e) {
+            return timeZone;
+        }
+    },
+
+    // 'rtl' for Arabic, Hebrew, Persian, Urdu and other right-to-left scripts
+    getDirection() {
+        try {
+            const locale = new Intl.Locale(this.locale);
+            const textInfo = typeof locale.getTextInfo === 'function' ? locale.getTextInfo() : locale.textInfo;
+            if (textInfo && textInfo.direction) return textInfo.direction;
+        } catch (e) {
+            // Fall through to the language list
+        }
+        return this.rtlLanguages.includes(this.getLanguage()) ? 'rtl' : 'ltr';
+    },
+
+    // "5 hours", or "5h 30m" when there are minutes
+    formatDuration(hours, minutes) {
+        const unit = (value, name, display) => new Intl.NumberFormat(this.locale, {
+            style: 'unit',
+            unit: name,
+            unitDisplay: display
+        }).format(value);
+
+        if (minutes === 0) return unit(hours, 'hour', 'long');
+        return `${unit(hours, 'hour', 'narrow')} ${unit(minutes, 'minute', 'narrow')}`;
+    },
+
+    // "Tomorrow", "Yesterday" or "In 2 days" for a difference in calendar days
+    relativeDay(days) {
+        const text = new Intl.RelativeTimeFormat(this.locale, { numeric: 'auto' }).format(days, 'day');
+        return text.charAt(0).toLocaleUpperCase(this.locale) + text.slice(1);
+    },
+
+    // Fill elements marked with data-i18n (text) and data-i18n-placeholder,
+    // data-i18n-aria-label or data-i18n-title (attributes)
+    translateDocument(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        [['i18nPlaceholder', 'placeholder'], ['i18nAriaLabel', 'aria-label'], ['i18nTitle', 'title']]
+            .forEach(([dataKey, attribute]) => {
+                const selector = '[data-' + dataKey.replace(/[A-Z]/g, c => '-' + c.toLowerCase()) + ']';
+                root.querySelectorAll(selector).forEach(element => {
+                    element.setAttribute(attribute, this.t(element.dataset[dataKey]));
+                });
+            });
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
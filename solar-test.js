@@ -0,0 +1,99 @@
+// Unit tests for solar.js against published reference values
+// (NOAA Solar Calculator, US Naval Observatory sunrise/sunset tables)
+const assert = require('assert');
+const SolarPosition = require('./solar.js');
+
+let failures = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}\n  ${error.message}`);
+    }
+}
+
+// Assert that two numbers differ by at most `tolerance`
+function assertNear(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${label}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+// Assert that a Date is within `minutes` of an ISO timestamp
+function assertTimeNear(actual, expectedIso, minutes, label) {
+    assert.ok(actual instanceof Date, `${label}: expected a Date, got ${actual}`);
+    const diff = (actual.getTime() - new Date(expectedIso).getTime()) / 60000;
+    assert.ok(Math.abs(diff) <= minutes,
+        `${label}: expected ${expectedIso} ± ${minutes} min, got ${actual.toISOString()}`);
+}
+
+console.log('Testing solar position model...\n');
+
+test('declination at the June 2024 solstice is +23.44°', () => {
+    assertNear(SolarPosition.getDeclination(new Date('2024-06-20T20:51Z')), 23.44, 0.01, 'declination');
+});
+
+test('declination at the December 2024 solstice is -23.44°', () => {
+    assertNear(SolarPosition.getDeclination(new Date('2024-12-21T09:20Z')), -23.44, 0.01, 'declination');
+});
+
+test('declination at the March 2024 equinox is 0°', () => {
+    assertNear(SolarPosition.getDeclination(new Date('2024-03-20T03:06Z')), 0, 0.02, 'declination');
+});
+
+test('equation of time reaches about -14.2 min in mid-February', () => {
+    assertNear(SolarPosition.getEquationOfTime(new Date('2024-02-11T12:00Z')), -14.2, 0.2, 'equation of time');
+});
+
+test('equation of time reaches about +16.4 min in early November', () => {
+    assertNear(SolarPosition.getEquationOfTime(new Date('2024-11-03T12:00Z')), 16.4, 0.2, 'equation of time');
+});
+
+test('subsolar point at 12:00 UTC on the March equinox is east of Greenwich by the equation of time', () => {
+    const point = SolarPosition.getSubsolarPoint(new Date('2024-03-20T12:00Z'));
+    assertNear(point.latitude, 0.15, 0.05, 'latitude');
+    assertNear(point.longitude, 1.85, 0.1, 'longitude');
+});
+
+test('London sunrise and sunset on 21 June 2024 (04:43 / 21:21 BST)', () => {
+    const times = SolarPosition.getSunTimes(new Date('2024-06-21T12:00Z'), 51.5074, -0.1278);
+    assertTimeNear(times.sunrise, '2024-06-21T03:43Z', 1, 'sunrise');
+    assertTimeNear(times.sunset, '2024-06-21T20:21Z', 1, 'sunset');
+});
+
+test('New York sunrise, sunset and solar noon on 21 December 2024 (07:16 / 16:32 / 11:54 EST)', () => {
+    const times = SolarPosition.getSunTimes(new Date('2024-12-21T17:00Z'), 40.7128, -74.0060);
+    assertTimeNear(times.sunrise, '2024-12-21T12:16Z', 1, 'sunrise');
+    assertTimeNear(times.sunset, '2024-12-21T21:32Z', 1, 'sunset');
+    assertTimeNear(times.solarNoon, '2024-12-21T16:54Z', 1, 'solar noon');
+});
+
+test('Sydney sunrise and sunset on 20 March 2024 (06:58 / 19:07 AEDT)', () => {
+    const times = SolarPosition.getSunTimes(new Date('2024-03-20T02:00Z'), -33.8688, 151.2093);
+    assertTimeNear(times.sunrise, '2024-03-19T19:58Z', 1, 'sunrise');
+    assertTimeNear(times.sunset, '2024-03-20T08:07Z', 1, 'sunset');
+});
+
+test('Tromsø has polar night in December and midnight sun in June', () => {
+    const winter = SolarPosition.getSunTimes(new Date('2024-12-21T12:00Z'), 69.6492, 18.9553);
+    assert.strictEqual(winter.polarNight, true);
+    assert.strictEqual(winter.sunrise, null);
+    assert.strictEqual(winter.dayLength, 0);
+
+    const summer = SolarPosition.getSunTimes(new Date('2024-06-21T12:00Z'), 69.6492, 18.9553);
+    assert.strictEqual(summer.polarDay, true);
+    assert.strictEqual(summer.dayLength, 86400000);
+});
+
+test('isDaylight matches the sun times', () => {
+    assert.strictEqual(SolarPosition.isDaylight(new Date('2024-06-21T12:00Z'), 51.5074, -0.1278), true);
+    assert.strictEqual(SolarPosition.isDaylight(new Date('2024-06-21T01:00Z'), 51.5074, -0.1278), false);
+});
+
+if (failures > 0) {
+    console.error(`\n${failures} test(s) failed`);
+    process.exit(1);
+}
+console.log('\n✓ All solar tests passed!');
@@ -0,0 +1,165 @@
+// Solar Position
+// NOAA-style solar ephemeris (Jean Meeus, "Astronomical Algorithms"), computed
+// from UTC. Accurate to well under a minute of time for sunrise/sunset between
+// 1800 and 2100. Works in the browser (global SolarPosition) and in Node.
+
+const SolarPosition = {
+    // Standard sunrise/sunset: sun's upper limb on the horizon, including refraction
+    SUNRISE_ELEVATION: -0.833,
+
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    },
+
+    toDegrees(radians) {
+        return radians * 180 / Math.PI;
+    },
+
+    // Julian centuries since J2000.0
+    getJulianCentury(date) {
+        const julianDay = date.getTime() / 86400000 + 2440587.5;
+        return (julianDay - 2451545) / 36525;
+    },
+
+    // Declination (degrees) and equation of time (minutes) at an instant
+    getSolarCoordinates(date) {
+        const T = this.getJulianCentury(date);
+        const rad = this.toRadians;
+
+        // Geometric mean longitude and anomaly of the sun, eccentricity of Earth's orbit
+        const meanLongitude = ((280.46646 + T * (36000.76983 + T * 0.0003032)) % 360 + 360) % 360;
+        const meanAnomaly = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+        const eccentricity = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+
+        const center = Math.sin(rad(meanAnomaly)) * (1.914602 - T * (0.004817 + 0.000014 * T))
+            + Math.sin(rad(2 * meanAnomaly)) * (0.019993 - 0.000101 * T)
+            + Math.sin(rad(3 * meanAnomaly)) * 0.000289;
+
+        // Apparent longitude, corrected for nutation and aberration
+        const omega = 125.04 - 1934.136 * T;
+        const apparentLongitude = meanLongitude + center - 0.00569 - 0.00478 * Math.sin(rad(omega));
+
+        // Obliquity of the ecliptic
+        const meanObliquity = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+        const obliquity = meanObliquity + 0.00256 * Math.cos(rad(omega));
+
+        const declination = this.toDegrees(Math.asin(Math.sin(rad(obliquity)) * Math.sin(rad(apparentLongitude))));
+
+        const y = Math.tan(rad(obliquity / 2)) ** 2;
+        const equationOfTime = 4 * this.toDegrees(
+            y * Math.sin(2 * rad(meanLongitude))
+            - 2 * eccentricity * Math.sin(rad(meanAnomaly))
+            + 4 * eccentricity * y * Math.sin(rad(meanAnomaly)) * Math.cos(2 * rad(meanLongitude))
+            - 0.5 * y * y * Math.sin(4 * rad(meanLongitude))
+            - 1.25 * eccentricity * eccentricity * Math.sin(2 * rad(meanAnomaly))
+        );
+
+        return { declination, equationOfTime };
+    },
+
+    getDeclination(date) {
+        return this.getSolarCoordinates(date).declination;
+    },
+
+    // Minutes by which apparent solar time runs ahead of mean solar time
+    getEquationOfTime(date) {
+        return this.getSolarCoordinates(date).equationOfTime;
+    },
+
+    // Point where the sun is directly overhead: { latitude, longitude }
+    getSubsolarPoint(date) {
+        const { declination, equationOfTime } = this.getSolarCoordinates(date);
+        const utcMinutes = (date.getTime() % 86400000 + 86400000) % 86400000 / 60000;
+
+        // Apparent solar noon happens where utcMinutes + equationOfTime + 4 * longitude = 720
+        let longitude = (720 - utcMinutes - equationOfTime) / 4;
+        longitude = ((longitude + 180) % 360 + 360) % 360 - 180;
+
+        return { latitude: declination, longitude };
+    },
+
+    // Sun elevation above the horizon in degrees (no refraction correction)
+    getElevation(date, latitude, longitude) {
+        const subsolar = this.getSubsolarPoint(date);
+        const rad = this.toRadians;
+        const cosZenith = Math.sin(rad(latitude)) * Math.sin(rad(subsolar.latitude))
+            + Math.cos(rad(latitude)) * Math.cos(rad(subsolar.latitude)) * Math.cos(rad(longitude - subsolar.longitude));
+        return 90 - this.toDegrees(Math.acos(Math.max(-1, Math.min(1, cosZenith))));
+    },
+
+    isDaylight(date, latitude, longitude) {
+        return this.getElevation(date, latitude, longitude) > this.SUNRISE_ELEVATION;
+    },
+
+    // Solar noon, sunrise and sunset for the solar day at a location that contains
+    // `date`. sunrise/sunset are null during polar day or polar night.
+    // Returns { solarNoon, sunrise, sunset, dayLength (ms), polarDay, polarNight }
+    getSunTimes(date, latitude, longitude) {
+        const rad = this.toRadians;
+
+        // Calendar day in mean solar time at this longitude
+        const localMean = new Date(date.getTime() + longitude * 4 * 60000);
+        const dayStart = Date.UTC(localMean.getUTCFullYear(), localMean.getUTCMonth(), localMean.getUTCDate());
+
+        // Minutes after dayStart (UTC) of an event, refined once with coordinates at that time
+        const refine = (estimate, hourAngle) => {
+            let minutes = estimate;
+            for (let i = 0; i < 2; i++) {
+                const coords = this.getSolarCoordinates(new Date(dayStart + minutes * 60000));
+                const angle = hourAngle(coords.declination);
+                if (angle === null) return null;
+                minutes = 720 - 4 * longitude - coords.equationOfTime - 4 * angle;
+            }
+            return minutes;
+        };
+
+        const noonMinutes = refine(720 - 4 * longitude, () => 0);
+
+        // Hour angle (degrees) of sunrise; null if the sun never crosses the horizon
+        let polarDay = false;
+        let polarNight = false;
+        const sunriseHourAngle = (declination) => {
+            const cosH = (Math.sin(rad(this.SUNRISE_ELEVATION)) - Math.sin(rad(latitude)) * Math.sin(rad(declination)))
+                / (Math.cos(rad(latitude)) * Math.cos(rad(declination)));
+            if (cosH < -1) {
+                polarDay = true;
+                return null;
+            }
+            if (cosH > 1) {
+                polarNight = true;
+                return null;
+            }
+            return this.toDegrees(Math.acos(cosH));
+        };
+
+        const sunriseMinutes = refine(noonMinutes, sunriseHourAngle);
+        const sunsetMinutes = refine(noonMinutes, declination => {
+            const angle = sunriseHourAngle(declination);
+            return angle === null ? null : -angle;
+        });
+
+        const toDate = minutes => minutes === null ? null : new Date(dayStart + minutes * 60000);
+        const sunrise = toDate(sunriseMinutes);
+        const sunset = toDate(sunsetMinutes);
+
+        let dayLength;
+        if (sunrise && sunset) {
+            dayLength = sunset - sunrise;
+        } else {
+            dayLength = polarDay ? 86400000 : 0;
+        }
+
+        return {
+            solarNoon: toDate(noonMinutes),
+            sunrise,
+            sunset,
+            dayLength,
+            polarDay: polarDay && !sunrise,
+            polarNight: polarNight && !sunrise
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SolarPosition;
+}
@@ -0,0 +1,101 @@
+// Unit tests for team.js: roster parsing (CSV and JSON) and working status
+const assert = require('assert');
+const TeamRoster = require('./team.js');
+
+let failures = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}\n  ${error.message}`);
+    }
+}
+
+console.log('Testing team roster...\n');
+
+test('parseCsv reads quoted fields with commas, escaped quotes and line breaks', () => {
+    const rows = TeamRoster.parseCsv('name,note\n"Ruiz, Ana","says ""hola"""\n"Ben","two\nlines"');
+    assert.deepStrictEqual(rows, [
+        { name: 'Ruiz, Ana', note: 'says "hola"' },
+        { name: 'Ben', note: 'two\nlines' }
+    ]);
+});
+
+test('parseCsv accepts CRLF line endings and skips blank lines', () => {
+    const rows = TeamRoster.parseCsv('Name,Zone\r\nAna,Europe/Madrid\r\n\r\nBen,Asia/Tokyo\r\n');
+    assert.deepStrictEqual(rows, [
+        { Name: 'Ana', Zone: 'Europe/Madrid' },
+        { Name: 'Ben', Zone: 'Asia/Tokyo' }
+    ]);
+});
+
+test('parse fills the zone from the city and reads hour ranges', () => {
+    const { people, skipped } = TeamRoster.parse('Name,City,Hours\r\n"Ruiz, Ana",Madrid,8-16\r\n');
+    assert.deepStrictEqual(skipped, []);
+    assert.strictEqual(people[0].name, 'Ruiz, Ana');
+    assert.strictEqual(people[0].zone, 'Europe/Madrid');
+    assert.strictEqual(people[0].city, 'Madrid');
+    assert.deepStrictEqual(people[0].workHours, { start: '08:00', end: '16:00' });
+});
+
+test('parse reports rows it cannot place, by row number', () => {
+    const { people, skipped } = TeamRoster.parse('name,zone,city\nCat,Mars/Olympus,\n,Europe/Paris,\nDan,,Atlantis\nFay,,\nEve,Asia/Tokyo,');
+    assert.deepStrictEqual(people.map(person => person.name), ['Eve']);
+    assert.deepStrictEqual(skipped, [
+        { row: 1, error: 'unknownZone', value: 'Mars/Olympus' },
+        { row: 2, error: 'missingName', value: '' },
+        { row: 3, error: 'unknownCity', value: 'Atlantis' },
+        { row: 4, error: 'noLocation', value: '' }
+    ]);
+});
+
+test('parse accepts JSON lists and { people } objects', () => {
+    const list = TeamRoster.parse('[{ "name": "Gus", "timezone": "Europe/London", "start": "22", "end": "6" }]');
+    assert.deepStrictEqual(list.people[0].workHours, { start: '22:00', end: '06:00' });
+    const object = TeamRoster.parse('{ "people": [{ "name": "Hal", "tz": "Asia/Tokyo" }] }');
+    assert.strictEqual(object.people[0].zone, 'Asia/Tokyo');
+    assert.throws(() => TeamRoster.parse('{ "nobody": true }'), /Expected a list of people/);
+});
+
+test('parse reads workHours objects as the app saves them', () => {
+    const { people } = TeamRoster.parse(JSON.stringify([
+        { name: 'Gus', zone: 'Europe/London', workHours: { start: '22:00', end: '06:00' } },
+        { name: 'Hal', zone: 'Asia/Tokyo', workHours: { start: 'late' } }
+    ]));
+    assert.deepStrictEqual(people[0].workHours, { start: '22:00', end: '06:00' });
+    assert.deepStrictEqual(people[1].workHours, TeamRoster.defaultHours);
+});
+
+test('parse skips JSON entries that are not people', () => {
+    const { people, skipped } = TeamRoster.parse('[null, "Ana", ["Ben"], { "name": "Eve", "zone": "Asia/Tokyo" }]');
+    assert.deepStrictEqual(people.map(person => person.name), ['Eve']);
+    assert.deepStrictEqual(skipped, [
+        { row: 1, error: 'notPerson', value: 'null' },
+        { row: 2, error: 'notPerson', value: '"Ana"' },
+        { row: 3, error: 'notPerson', value: '["Ben"]' }
+    ]);
+});
+
+test('getStatus follows the person\'s wall clock, including overnight hours', () => {
+    const ana = { zone: 'Europe/Madrid', workHours: { start: '09:00', end: '17:00' } };
+    assert.strictEqual(TeamRoster.getStatus(ana, new Date('2026-10-19T10:00Z')), 'working');
+    assert.strictEqual(TeamRoster.getStatus(ana, new Date('2026-10-19T17:00Z')), 'off');
+    assert.strictEqual(TeamRoster.getStatus(ana, new Date('2026-10-19T02:00Z')), 'asleep');
+
+    const gus = { zone: 'Europe/London', workHours: { start: '22:00', end: '06:00' } };
+    assert.strictEqual(TeamRoster.getStatus(gus, new Date('2026-10-19T23:30Z')), 'working');
+});
+
+test('getInitials uses the first and last word', () => {
+    assert.strictEqual(TeamRoster.getInitials('Ana María Ruiz'), 'AR');
+    assert.strictEqual(TeamRoster.getInitials('ben'), 'B');
+});
+
+if (failures > 0) {
+    console.error(`\n${failures} test(s) failed`);
+    process.exit(1);
+}
+console.log('\n✓ All team roster tests passed!');
@@ -0,0 +1,179 @@
+// Team Roster
+// Parses a small roster of people (JSON or CSV) and works out whether each is
+// working, off or asleep from their local time. Uses CityGazetteer and TimeUtils;
+// works in the browser (global TeamRoster) and in Node.
+
+// In Node, load what the page provides as globals
+if (typeof require !== 'undefined' && typeof CityGazetteer === 'undefined') {
+    global.CityGazetteer = require('./cities.js');
+    global.TimeUtils = require('./time-utils.js');
+}
+
+const TeamRoster = {
+    defaultHours: { start: '09:00', end: '17:00' },
+    sleepHours: { start: '23:00', end: '07:00' },
+
+    // Returns { people, skipped: [{ row, error, value }] }. JSON may be an array or
+    // { people: [...] }; CSV needs a header row.
+    parse(text) {
+        const trimmed = text.trim();
+        let rows;
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            const data = JSON.parse(trimmed);
+            rows = Array.isArray(data) ? data : (data.people || data.team);
+            if (!Array.isArray(rows)) {
+                throw new Error('Expected a list of people');
+            }
+        } else {
+            rows = this.parseCsv(trimmed);
+        }
+
+        const people = [];
+        const skipped = [];
+        rows.forEach((row, i) => {
+            const result = this.normalize(row);
+            if (result.error) {
+                skipped.push({ row: i + 1, error: result.error, value: result.value || '' });
+            } else {
+                people.push({ id: 'p' + people.length, ...result.person });
+            }
+        });
+        return { people, skipped };
+    },
+
+    // Rows of a CSV with a header line as objects keyed by column name
+    parseCsv(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        record.push(field);
+        records.push(record);
+
+        const [header, ...lines] = records.filter(r => r.some(value => value.trim() !== ''));
+        if (!header) return [];
+        return lines.map(values => Object.fromEntries(header.map((name, i) => [name.trim(), (values[i] || '').trim()])));
+    },
+
+    // Validate one row. Returns { person } or { error, value }.
+    normalize(row) {
+        if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+            return { error: 'notPerson', value: JSON.stringify(row) };
+        }
+        const raw = (...names) => {
+            const key = Object.keys(row).find(k => names.includes(k.toLowerCase()));
+            return key !== undefined ? row[key] : null;
+        };
+        const field = (...names) => {
+            const value = raw(...names);
+            return value !== null && value !== undefined ? String(value).trim() : '';
+        };
+
+        const name = field('name');
+        if (name === '') return { error: 'missingName' };
+
+        let zone = field('zone', 'timezone', 'tz');
+        if (zone !== '' && !TimeUtils.isValidTimeZone(zone)) {
+            return { error: 'unknownZone', value: zone };
+        }
+
+        const cityName = field('city');
+        let city = null;
+        if (cityName !== '') {
+            city = CityGazetteer.find(cityName);
+            if (!city) return { error: 'unknownCity', value: cityName };
+            zone = zone || city.zone;
+        }
+        if (zone === '') return { error: 'noLocation' };
+
+        // Somewhere to draw them: their city, else the first known city in their zone
+        const place = city || CityGazetteer.cities.find(c => c.zone === zone) || null;
+
+        // '9-17' from CSV, or { start, end } as the app saves it
+        const hoursValue = raw('hours', 'workhours', 'working hours');
+        const hours = hoursValue && typeof hoursValue === 'object'
+            ? this.parseHours(`${hoursValue.start || ''}-${hoursValue.end || ''}`)
+            : this.parseHours(field('hours', 'workhours', 'working hours'));
+        const start = this.parseTime(field('start')) || (hours && hours.start) || this.defaultHours.start;
+        const end = this.parseTime(field('end')) || (hours && hours.end) || this.defaultHours.end;
+
+        return {
+            person: {
+                name,
+                zone,
+                city: city ? city.name : null,
+                latitude: place ? place.latitude : null,
+                longitude: place ? place.longitude : null,
+                workHours: { start, end },
+                avatar: field('avatar') || null
+            }
+        };
+    },
+
+    // '9' or '09:30' -> '09:00' / '09:30'; null when unreadable
+    parseTime(text) {
+        const match = /^(\d{1,2})(?::(\d{2}))?$/.exec(text.trim());
+        if (!match) return null;
+        const hour = parseInt(match[1], 10);
+        const minute = parseInt(match[2] || '0', 10);
+        if (hour > 24 || minute > 59) return null;
+        return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    },
+
+    // '9-17' or '09:00–17:30' -> { start, end }
+    parseHours(text) {
+        const parts = text.split(/\s*[-–]\s*/);
+        if (parts.length !== 2) return null;
+        const start = this.parseTime(parts[0]);
+        const end = this.parseTime(parts[1]);
+        return start && end ? { start, end } : null;
+    },
+
+    // 'working', 'asleep' or 'off' at an instant, from the person's wall clock
+    getStatus(person, date) {
+        const parts = TimeUtils.getZonedParts(date, person.zone);
+        const minutes = parts.hour * 60 + parts.minute;
+        const within = range => TimeUtils.isWithinHours(minutes,
+            TimeUtils.parseTimeOfDay(range.start), TimeUtils.parseTimeOfDay(range.end));
+        if (within(person.workHours)) return 'working';
+        if (within(this.sleepHours)) return 'asleep';
+        return 'off';
+    },
+
+    // 'Ana María Ruiz' -> 'AR'
+    getInitials(name) {
+        const words = name.split(/\s+/).filter(Boolean);
+        const letters = words.length > 1 ? [words[0], words[words.length - 1]] : words;
+        return letters.map(word => Array.from(word)[0].toUpperCase()).join('');
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TeamRoster;
+}
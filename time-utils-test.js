@@ -0,0 +1,98 @@
+// Unit tests for time-utils.js: converter queries and wall time to instant across DST
+const assert = require('assert');
+const TimeUtils = require('./time-utils.js');
+
+let failures = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}\n  ${error.message}`);
+    }
+}
+
+// Instant at which a zone's clock shows the given wall time, as an ISO string
+function instant(zone, year, month, day, hour, minute) {
+    return TimeUtils.getTimezoneInstant({ zone, offset: null }, { year, month, day, hour, minute }).toISOString();
+}
+
+console.log('Testing time zone utilities...\n');
+
+test('parseTimeQuery reads 12-hour times with the place before or after', () => {
+    assert.deepStrictEqual(TimeUtils.parseTimeQuery('3pm Tokyo'), { hour: 15, minute: 0, place: 'Tokyo', days: null });
+    assert.deepStrictEqual(TimeUtils.parseTimeQuery('9:15 am in London'), { hour: 9, minute: 15, place: 'London', days: null });
+    assert.deepStrictEqual(TimeUtils.parseTimeQuery('Tokyo at 3 p.m.'), { hour: 15, minute: 0, place: 'Tokyo', days: null });
+    assert.deepStrictEqual(TimeUtils.parseTimeQuery('12am UTC+5:30'), { hour: 0, minute: 0, place: 'UTC+5:30', days: null });
+});
+
+test('parseTimeQuery reads 24-hour times with a colon or a dot', () => {
+    assert.deepStrictEqual(TimeUtils.parseTimeQuery('Tokyo 15:30'), { hour: 15, minute: 30, place: 'Tokyo', days: null });
+    assert.deepStrictEqual(TimeUtils.parseTimeQuery('3.30pm Paris'), { hour: 15, minute: 30, place: 'Paris', days: null });
+    assert.deepStrictEqual(TimeUtils.parseTimeQuery('17.45 Tokyo'), { hour: 17, minute: 45, place: 'Tokyo', days: null });
+    assert.deepStrictEqual(TimeUtils.parseTimeQuery('UTC+5:30 15:00'), { hour: 15, minute: 0, place: 'UTC+5:30', days: null });
+});
+
+test('parseTimeQuery reads a bare hour anywhere and strips at/in', () => {
+    assert.deepStrictEqual(TimeUtils.parseTimeQuery('15 New York'), { hour: 15, minute: 0, place: 'New York', days: null });
+    assert.deepStrictEqual(TimeUtils.parseTimeQuery('Berlin at 9'), { hour: 9, minute: 0, place: 'Berlin', days: null });
+    assert.deepStrictEqual(TimeUtils.parseTimeQuery('at 9 in Berlin'), { hour: 9, minute: 0, place: 'Berlin', days: null });
+    assert.strictEqual(TimeUtils.parseTimeQuery('UTC+5'), null);
+});
+
+test('parseTimeQuery takes day words out of the place', () => {
+    assert.deepStrictEqual(TimeUtils.parseTimeQuery('10am New York tomorrow'), { hour: 10, minute: 0, place: 'New York', days: 1 });
+    assert.deepStrictEqual(TimeUtils.parseTimeQuery('yesterday noon'), { hour: 12, minute: 0, place: '', days: -1 });
+});
+
+test('parseTimeQuery rejects impossible times and text without a time', () => {
+    assert.strictEqual(TimeUtils.parseTimeQuery('13pm Tokyo'), null);
+    assert.strictEqual(TimeUtils.parseTimeQuery('25:00'), null);
+    assert.strictEqual(TimeUtils.parseTimeQuery('hello'), null);
+});
+
+test('getTimezoneInstant uses the offset in force on the chosen date', () => {
+    assert.strictEqual(instant('America/New_York', 2026, 1, 15, 9, 0), '2026-01-15T14:00:00.000Z');
+    assert.strictEqual(instant('America/New_York', 2026, 7, 1, 9, 0), '2026-07-01T13:00:00.000Z');
+    assert.strictEqual(TimeUtils.getTimezoneInstant({ zone: null, offset: 5.5 },
+        { year: 2026, month: 1, day: 1, hour: 0, minute: 0 }).toISOString(), '2025-12-31T18:30:00.000Z');
+});
+
+test('getTimezoneInstant moves times in a DST gap past the jump', () => {
+    // 02:30 does not exist on 8 March 2026 in New York (02:00 EST -> 03:00 EDT)
+    assert.strictEqual(instant('America/New_York', 2026, 3, 8, 2, 30), '2026-03-08T07:30:00.000Z');
+    // Nor on 4 October 2026 in Sydney (02:00 AEST -> 03:00 AEDT)
+    assert.strictEqual(instant('Australia/Sydney', 2026, 10, 4, 2, 30), '2026-10-03T16:30:00.000Z');
+});
+
+test('getTimezoneInstant resolves a time shown twice to the earlier instant', () => {
+    // 01:30 happens twice on 1 November 2026 in New York (EDT, then EST)
+    assert.strictEqual(instant('America/New_York', 2026, 11, 1, 1, 30), '2026-11-01T05:30:00.000Z');
+    // 01:30 happens twice on 25 October 2026 in London (BST, then GMT)
+    assert.strictEqual(instant('Europe/London', 2026, 10, 25, 1, 30), '2026-10-25T00:30:00.000Z');
+    // 02:30 happens twice on 5 April 2026 in Sydney (AEDT, then AEST)
+    assert.strictEqual(instant('Australia/Sydney', 2026, 4, 5, 2, 30), '2026-04-04T15:30:00.000Z');
+});
+
+test('isWithinHours handles ranges that wrap past midnight', () => {
+    const start = TimeUtils.parseTimeOfDay('22:00');
+    const end = TimeUtils.parseTimeOfDay('06:00');
+    assert.strictEqual(TimeUtils.isWithinHours(TimeUtils.parseTimeOfDay('23:30'), start, end), true);
+    assert.strictEqual(TimeUtils.isWithinHours(TimeUtils.parseTimeOfDay('05:59'), start, end), true);
+    assert.strictEqual(TimeUtils.isWithinHours(TimeUtils.parseTimeOfDay('12:00'), start, end), false);
+});
+
+test('getAbbreviations follows the offset in force and reuses earlier answers', () => {
+    assert.deepStrictEqual(TimeUtils.getAbbreviations('Europe/London', new Date('2026-07-01T12:00Z')), ['BST']);
+    assert.deepStrictEqual(TimeUtils.getAbbreviations('Europe/London', new Date('2026-01-15T12:00Z')), ['GMT']);
+    assert.strictEqual(TimeUtils.getAbbreviations('Europe/London', new Date('2026-08-01T12:00Z')),
+        TimeUtils.getAbbreviations('Europe/London', new Date('2026-07-01T12:00Z')));
+});
+
+if (failures > 0) {
+    console.error(`\n${failures} test(s) failed`);
+    process.exit(1);
+}
+console.log('\n✓ All time zone utility tests passed!');
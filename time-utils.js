@@ -0,0 +1,240 @@
+// Time Zone Utilities
+// IANA time zone helpers built on Intl.DateTimeFormat: zoned wall-clock parts,
+// DST-aware offsets, wall time to instant, and parsers for offsets, coordinates
+// and converter queries. Works in the browser (global TimeUtils) and in Node.
+
+const TimeUtils = {
+    formatters: new Map(),
+    validity: new Map(),
+    abbreviations: new Map(), // 'Europe/London|1' -> ['BST']
+
+    // Check whether the runtime knows an IANA zone name like 'America/New_York'
+    isValidTimeZone(name) {
+        if (typeof name !== 'string' || name === '') return false;
+        if (!this.validity.has(name)) {
+            let valid = true;
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: name });
+            } catch (e) {
+                valid = false;
+            }
+            this.validity.set(name, valid);
+        }
+        return this.validity.get(name);
+    },
+
+    // Pick the first valid IANA zone from a feature's properties. Natural Earth
+    // features store it in tz_name1st, generated ones in name.
+    getZoneName(properties) {
+        const candidates = [properties.name, properties.tz_name1st];
+        return candidates.find(name => this.isValidTimeZone(name)) || null;
+    },
+
+    // Readable name of an IANA zone: 'America/Argentina/Buenos_Aires' -> 'Buenos Aires'
+    getZoneLabel(timeZone) {
+        return timeZone.split('/').pop().replace(/_/g, ' ');
+    },
+
+    // Formatter that splits an instant into numeric wall-clock fields for a zone
+    getFormatter(timeZone) {
+        if (!this.formatters.has(timeZone)) {
+            this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }));
+        }
+        return this.formatters.get(timeZone);
+    },
+
+    // Wall-clock fields of an instant in a zone: { year, month, day, hour, minute, second }
+    getZonedParts(date, timeZone) {
+        const parts = {};
+        this.getFormatter(timeZone).formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') {
+                parts[part.type] = parseInt(part.value, 10);
+            }
+        });
+        // Some engines report midnight as hour 24 even with h23
+        if (parts.hour === 24) parts.hour = 0;
+        return parts;
+    },
+
+    // Wall-clock fields for a timezone group: its IANA zone when it has one,
+    // otherwise the fixed offset
+    getTimezoneParts(tz, date) {
+        if (tz.zone) {
+            return this.getZonedParts(date, tz.zone);
+        }
+        const shifted = new Date(date.getTime() + (tz.offset * 3600000));
+        return {
+            year: shifted.getUTCFullYear(),
+            month: shifted.getUTCMonth() + 1,
+            day: shifted.getUTCDate(),
+            hour: shifted.getUTCHours(),
+            minute: shifted.getUTCMinutes(),
+            second: shifted.getUTCSeconds()
+        };
+    },
+
+    // Calendar days a group's date is ahead of (positive) or behind the viewer's local date
+    getDayDifference(tz, date) {
+        const p = this.getTimezoneParts(tz, date);
+        const zoned = Date.UTC(p.year, p.month - 1, p.day);
+        const local = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        return Math.round((zoned - local) / 86400000);
+    },
+
+    // "09:30" -> 570 minutes after midnight
+    parseTimeOfDay(value) {
+        const [hours, minutes] = value.split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    },
+
+    // Whether a minute-of-day falls in [start, end); handles ranges that wrap past midnight
+    isWithinHours(minute, start, end) {
+        if (start <= end) {
+            return minute >= start && minute < end;
+        }
+        return minute >= start || minute < end;
+    },
+
+    // Parse "UTC+5:30", "GMT-3", "+05:45" or "utc" into an offset in hours, or null
+    parseOffsetString(text) {
+        const trimmed = text.trim().replace('−', '-');
+        if (/^(utc|gmt)$/i.test(trimmed)) return 0;
+
+        const match = trimmed.match(/^(?:utc|gmt)?\s*([+-])\s*(\d{1,2})(?:[:.]?(\d{2}))?$/i);
+        if (!match) return null;
+
+        const hours = parseInt(match[2], 10);
+        const minutes = match[3] ? parseInt(match[3], 10) : 0;
+        if (hours > 14 || minutes >= 60) return null;
+
+        const offset = hours + minutes / 60;
+        return match[1] === '-' ? -offset : offset;
+    },
+
+    // Split "3pm Tokyo", "Tokyo 15:30", "at 9 in Berlin", "3.30pm Paris tomorrow" or "noon"
+    // into { hour, minute, place, days }; place is '' when only a time is given and days
+    // is the offset from today, null unless a day is named. Null without a time.
+    parseTimeQuery(text) {
+        const patterns = [
+            [/\b(\d{1,2})(?:[:.](\d{2}))?\s*([ap])\.?\s*m\b\.?/i, m => {
+                const hour = Number(m[1]);
+                if (hour < 1 || hour > 12) return null;
+                return { hour: hour % 12 + (m[3].toLowerCase() === 'p' ? 12 : 0), minute: Number(m[2] || 0) };
+            }],
+            // Only as a word of its own, so the offset in "UTC+5:30" stays part of the place
+            [/(?:^|\s)(\d{1,2})[:.](\d{2})\b/, m => ({ hour: Number(m[1]), minute: Number(m[2]) })],
+            [/\bnoon\b/i, () => ({ hour: 12, minute: 0 })],
+            [/\bmidnight\b/i, () => ({ hour: 0, minute: 0 })],
+            // Likewise a bare hour, so "UTC+5" stays a place
+            [/(?:^|\s)(\d{1,2})(?=\s|$)/, m => ({ hour: Number(m[1]), minute: 0 })]
+        ];
+        const dayOffsets = { yesterday: -1, today: 0, tomorrow: 1 };
+
+        let days = null;
+        const trimmed = text.trim().replace(/\b(yesterday|today|tomorrow)\b/i, word => {
+            days = dayOffsets[word.toLowerCase()];
+            return ' ';
+        }).trim();
+        for (const [pattern, read] of patterns) {
+            const match = trimmed.match(pattern);
+            if (!match) continue;
+            const time = read(match);
+            if (!time || time.hour > 23 || time.minute > 59) return null;
+            const place = (trimmed.slice(0, match.index) + ' ' + trimmed.slice(match.index + match[0].length))
+                .replace(/\s+/g, ' ')
+                .trim()
+                .replace(/^(?:(?:in|at|on)\s+)+|(?:\s+(?:in|at|on))+$/gi, '');
+            return { ...time, place, days };
+        }
+        return null;
+    },
+
+    // Instant at which a timezone group's clock shows the given wall time
+    // ({ year, month, day, hour, minute }). A time shown twice takes the earlier
+    // instant; a time skipped by a DST jump lands after it.
+    getTimezoneInstant(tz, parts) {
+        const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+        if (!tz.zone) return new Date(asUTC - tz.offset * 3600000);
+
+        // Try the offsets in force a day either side of the wall time
+        const day = 86400000;
+        const before = asUTC - this.getOffsetAtInstant(tz.zone, new Date(asUTC - day)) * 3600000;
+        const after = asUTC - this.getOffsetAtInstant(tz.zone, new Date(asUTC + day)) * 3600000;
+        const matches = [before, after].filter(time => {
+            const shown = this.getZonedParts(new Date(time), tz.zone);
+            return shown.hour === parts.hour && shown.minute === parts.minute;
+        });
+        // In a gap the earlier offset carries the time forward past the jump
+        return new Date(matches.length > 0 ? Math.min(...matches) : before);
+    },
+
+    // Parse "52.52, 13.40", "-33.87 151.21" or "33.87°S 151.21°E" into { latitude, longitude }, or null
+    parseCoordinates(text) {
+        const match = text.trim()
+            .match(/^(-?\d+(?:\.\d+)?)\s*°?\s*([NS])?\s*[,;\s]\s*(-?\d+(?:\.\d+)?)\s*°?\s*([EW])?$/i);
+        if (!match) return null;
+
+        let latitude = Number(match[1]);
+        let longitude = Number(match[3]);
+        if (match[2] && match[2].toUpperCase() === 'S') latitude = -latitude;
+        if (match[4] && match[4].toUpperCase() === 'W') longitude = -longitude;
+        if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+        return { latitude, longitude };
+    },
+
+    // Well-known abbreviations Intl does not produce in English locales, by UTC offset
+    commonAbbreviations: {
+        JST: [9], KST: [9], HKT: [8], SGT: [8], PHT: [8], AWST: [8], WIB: [7], ICT: [7],
+        PKT: [5], NPT: [5.75], GST: [4], MSK: [3], EAT: [3], SAST: [2], CAT: [2], WAT: [1],
+        NZST: [12], NZDT: [13], ACST: [9.5], ACDT: [10.5], AEST: [10], AEDT: [11],
+        HST: [-10], AKST: [-9], AKDT: [-8], PST: [-8], PDT: [-7], MST: [-7], MDT: [-6],
+        CST: [-6, 8], CDT: [-5], EST: [-5], EDT: [-4], AST: [-4, 3], ADT: [-3], NST: [-3.5], NDT: [-2.5],
+        BRT: [-3], ART: [-3], IST: [5.5, 1, 2], GMT: [0], UTC: [0], BST: [1], WET: [0], WEST: [1],
+        CET: [1], CEST: [2], EET: [2], EEST: [3]
+    },
+
+    // Short abbreviations ("EDT", "BST", "IST") a zone uses at an instant. English
+    // locales disagree on which ones they know, so several are consulted; the result
+    // is kept per zone and offset, as card titles ask on every render.
+    getAbbreviations(timeZone, date) {
+        const key = `${timeZone}|${this.getOffsetAtInstant(timeZone, date)}`;
+        if (!this.abbreviations.has(key)) {
+            this.abbreviations.set(key, this.readAbbreviations(timeZone, date));
+        }
+        return this.abbreviations.get(key);
+    },
+
+    readAbbreviations(timeZone, date) {
+        const abbreviations = new Set();
+        ['en-US', 'en-GB', 'en-IN', 'en-AU'].forEach(locale => {
+            const part = new Intl.DateTimeFormat(locale, { timeZone: timeZone, timeZoneName: 'short' })
+                .formatToParts(date)
+                .find(p => p.type === 'timeZoneName');
+            if (part && /^[A-Z]{2,5}$/.test(part.value)) {
+                abbreviations.add(part.value);
+            }
+        });
+        return Array.from(abbreviations);
+    },
+
+    // UTC offset in hours of a zone at a given instant (e.g. -4 for New York in July)
+    getOffsetAtInstant(timeZone, date) {
+        const p = this.getZonedParts(date, timeZone);
+        const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        const instant = Math.floor(date.getTime() / 1000) * 1000;
+        return Math.round((asUTC - instant) / 60000) / 60;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeUtils;
+}